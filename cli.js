@@ -1,36 +1,649 @@
 #!/usr/bin/env node
 
-const { spawn, execSync } = require('child_process');
+const { spawn, execSync, execFileSync } = require('child_process');
 const path = require('path');
 const fs = require('fs');
 const http = require('http');
 const https = require('https');
 
 const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const semver = require('semver');
+const { globToRegExp, parseSize } = require('./lib/utils');
+const { createStaticServer, MIME_TYPES, COMPRESSED_EXTENSIONS, isCompressible } = require('./lib/static-server');
 
-const verdaccioBin = path.join(__dirname, 'node_modules', '.bin', 'verdaccio.cmd');
+const verdaccioBin = path.join(__dirname, 'node_modules', 'verdaccio', 'bin', 'verdaccio');
 const configPath = path.join(__dirname, 'config.yaml');
 const pidFile = path.join(__dirname, '.verdaccio.pid');
 const staticPidFile = path.join(__dirname, '.static-server.pid');
+// run --foreground 进程，import 据此拒绝在服务运行时替换文件
+const foregroundPidFile = path.join(__dirname, '.foreground.pid');
 const reposDir = path.join(__dirname, 'repos');
+// 记录各仓库最近一次成功发布时的 git 版本
+const updateStatePath = path.join(reposDir, '.update-state.json');
+// 暂存目录：新版本在这里下载和构建，成功后才替换 repos/<name>
+const stagingDir = path.join(reposDir, '.staging');
+// 快照目录：repos/.snapshots/<仓库名>/<快照 ID>/
+const snapshotsDir = path.join(reposDir, '.snapshots');
+// update --from 指定 zip 离线介质时的解压目录
+const mediaDir = path.join(reposDir, '.media');
+const defaultReportPath = path.join(__dirname, 'reports', 'update-report.json');
 const publicDir = path.join(__dirname, 'public');
+// 资源同步时计算过的文件 SHA-256（按大小和修改时间缓存）
+const syncStatePath = path.join(__dirname, '.sync-state.json');
+// 最近一次导入的离线包，导入增量包时用于校验基准
+const bundleStatePath = path.join(__dirname, '.bundle-state.json');
+// 导入离线包时的暂存目录和备份目录（校验通过后才替换现有文件，失败时从备份恢复）
+const importStagingDir = path.join(__dirname, '.import-staging');
+const importBackupDir = path.join(__dirname, '.import-backup');
 const npmrcPath = path.join(__dirname, '.npmrc');
-const STATIC_SERVER_PORT = 4874;
-
-// Cloudflare R2 配置
-const CLOUDFLARE_R2_CONFIG = {
-    publicUrl: 'https://rs1.aily.pro',
-    bucket: 'ailyblockly',
-    manifestFile: 'manifest.json'  // 文件清单
+// 注意：config.yaml 中配置的是 ./htpasswd，即项目根目录
+const htpasswdPath = path.join(__dirname, 'htpasswd');
+const credentialsPath = path.join(__dirname, '.env');
+const BCRYPT_ROUNDS = 10;
+const verdaccioLogFile = path.join(__dirname, 'verdaccio.log');
+// 静态文件服务器的启动信息和错误日志（访问日志见 staticServer.accessLog）
+const staticLogFile = path.join(__dirname, 'static-server.log');
+// 未配置 staticServer.accessLog.file 时后台运行的访问日志
+const staticAccessLogFile = path.join(__dirname, 'static-access.log');
+// update 锁，防止手动 update、定时 update 和 rollback 同时运行
+const updateLockPath = path.join(__dirname, '.update.lock');
+// 自动更新（run --auto-update）后台进程
+const autoUpdatePidFile = path.join(__dirname, '.auto-update.pid');
+const autoUpdateStatePath = path.join(__dirname, '.auto-update.json');
+const autoUpdateLogFile = path.join(__dirname, 'auto-update.log');
+const isWindows = process.platform === 'win32';
+// 服务配置文件（按顺序查找，也可通过 --config <文件> 或环境变量 AILY_SERVICE_CONFIG 指定）
+const SERVICE_CONFIG_FILES = ['aily-service.config.json', 'aily-service.config.yaml', 'aily-service.config.yml'];
+
+// 默认服务配置，配置文件中的字段会覆盖这里的值（数组整体替换）
+const DEFAULT_CONFIG = {
+    // 客户端访问本机服务使用的主机名
+    host: 'localhost',
+    // 服务监听地址
+    listen: '0.0.0.0',
+    // 仓库源码获取方式: zip（下载 GitHub zip）或 git（使用 url 克隆并增量更新）
+    source: 'zip',
+    ports: {
+        registry: 4873,
+        static: 4874
+    },
+    publish: {
+        // 同时打包上传的包数量
+        concurrency: 4
+    },
+    snapshots: {
+        // 每个仓库保留的历史快照数量（用于 rollback），0 表示不保留
+        keep: 3
+    },
+    // 由配置管理的 dist-tag: { 标签: { 包名: 版本 } }，每次 update 发布后应用
+    distTags: {},
+    autoUpdate: {
+        // run 时启动的自动更新计划：间隔（如 6h）或 cron 表达式（如 "0 2 * * *"），null 表示不启用
+        schedule: null,
+        // 定时 update 使用的参数，如 ["--source", "git"]
+        args: []
+    },
+    prune: {
+        // prune 时每个包保留的最新版本数量
+        keepVersions: 3,
+        // 不清理的包，支持通配符，如 "@aily/sdk-*" 或 "@aily/compiler-avr@1.0.0"
+        exclude: []
+    },
+    sync: {
+        // 资源同步时同时下载的文件数量
+        concurrency: 4,
+        // 每个文件的最大尝试次数，失败后按 2 秒、4 秒、8 秒……的间隔重试
+        retries: 3,
+        // 资源同步的总带宽上限（字节/秒），如 "2MB"、"512KB"，null 表示不限速
+        bandwidthLimit: null,
+        // sync --mirror 不删除的 public 文件，支持通配符；以 / 结尾表示整个目录
+        protect: []
+    },
+    staticServer: {
+        // 按路径前缀设置 Cache-Control，最长的前缀优先；no-cache 表示客户端每次用 ETag 验证
+        cacheControl: {
+            '/': 'no-cache'
+        },
+        compression: {
+            // 按 Accept-Encoding 以 br 或 gzip 发送 JSON、JS 等文本文件
+            enabled: true,
+            // 小于该大小（字节）的文件不压缩
+            minSize: 1024,
+            // 动态压缩的文件大小上限，更大的文件没有预压缩文件时按原样流式发送（支持 Range）
+            maxSize: '4MB',
+            // 动态压缩结果的缓存上限，如 "64MB"
+            cacheSize: '64MB',
+            // update / sync 后预先生成 .br 和 .gz 的 public 文件，支持通配符；仓库配置的 public 文件总是包含
+            precompress: []
+        },
+        cors: {
+            // 允许跨域访问的来源，如 "https://blockly.example.com"，支持通配符；"*" 表示任意来源，空数组表示不允许跨域
+            origins: [],
+            // 预检请求返回的 Access-Control-Allow-Methods
+            methods: ['GET', 'HEAD', 'OPTIONS'],
+            // 允许浏览器脚本读取的响应头
+            exposedHeaders: ['Content-Length', 'Content-Range', 'ETag'],
+            // 浏览器缓存预检结果的秒数
+            maxAge: 600
+        },
+        // 按路径通配符添加的响应头，如 { "/sdk/": { "X-Robots-Tag": "noindex" } }；以 / 结尾表示整个目录
+        headers: {},
+        catalog: {
+            // 提供 /api/boards、/api/libraries 查询接口
+            enabled: true,
+            // 未指定 pageSize 时每页的条数
+            pageSize: 20,
+            // pageSize 的上限
+            maxPageSize: 100
+        },
+        accessLog: {
+            enabled: true,
+            // 访问日志文件 file（相对项目根目录）默认不配置：后台运行时写入 static-access.log，
+            // run --foreground 时输出到标准输出；null 表示始终输出到标准输出
+            // common / combined（同 Apache、nginx）或 json（每行一个 JSON 对象）
+            format: 'combined',
+            // 超过该大小时轮转为 static-access.log.1、.2……
+            maxSize: '10MB',
+            // 保留的旧日志文件数量
+            maxFiles: 5
+        }
+    },
+    // Cloudflare R2 配置
+    r2: {
+        publicUrl: 'https://rs1.aily.pro',
+        bucket: 'ailyblockly',
+        manifestFile: 'manifest.json'  // 文件清单
+    },
+    // 默认用户信息（未配置 password 时首次运行随机生成，保存在 .env）
+    user: {
+        username: 'aily-admin',
+        email: 'admin@aily.local'
+    },
+    repos: [
+        {
+            name: 'aily-blockly-boards',
+            github: 'https://github.com/ailyProject/aily-blockly-boards/archive/refs/heads/main.zip',
+            url: 'https://gitee.com/coloz/aily-blockly-boards.git',
+            cmd: ["npm i", "node genjson.js"],
+            offlineCmd: ["node genjson.js"],
+            public: ["boards.json"]
+        },
+        {
+            name: 'aily-blockly-libraries',
+            github: 'https://github.com/ailyProject/aily-blockly-libraries/archive/refs/heads/main.zip',
+            url: 'https://gitee.com/coloz/aily-blockly-libraries.git',
+            cmd: ["npm i", "node genjson.js"],
+            offlineCmd: ["node genjson.js"],
+            public: ["libraries.json"]
+        },
+        {
+            name: 'aily-project-tools',
+            github: 'https://github.com/ailyProject/aily-project-tools/archive/refs/heads/main.zip',
+            url: 'https://gitee.com/coloz/aily-project-tools.git'
+        },
+        {
+            name: 'aily-project-compilers',
+            github: 'https://github.com/ailyProject/aily-project-compilers/archive/refs/heads/main.zip',
+            url: 'https://gitee.com/coloz/aily-project-compilers.git'
+        },
+        {
+            name: 'aily-project-sdks',
+            github: 'https://github.com/ailyProject/aily-project-sdks/archive/refs/heads/main.zip',
+            url: 'https://gitee.com/coloz/aily-project-sdks.git'
+        }
+    ]
 };
 
-// 默认用户信息
-const DEFAULT_USER = {
-    username: 'aily-admin',
-    password: 'aily123456',
-    email: 'admin@aily.local'
+const PORT_SCHEMA = { type: 'integer', minimum: 1, maximum: 65535 };
+const NON_EMPTY_STRING = { type: 'string', minLength: 1 };
+// HTTP 响应头名称（RFC 7230 token）
+const HTTP_HEADER_NAME_PATTERN = /^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/;
+const SOURCE_SCHEMA = { type: 'string', enum: ['zip', 'git'] };
+const DIST_TAG_PATTERN = /^[A-Za-z][A-Za-z0-9._-]*$/;
+const PACKAGE_NAME_PATTERN = /^(@[a-z0-9][a-z0-9._~-]*\/)?[a-z0-9][a-z0-9._~-]*$/;
+
+// 配置文件结构定义
+const CONFIG_SCHEMA = {
+    type: 'object',
+    properties: {
+        host: NON_EMPTY_STRING,
+        listen: NON_EMPTY_STRING,
+        source: SOURCE_SCHEMA,
+        ports: {
+            type: 'object',
+            properties: {
+                registry: PORT_SCHEMA,
+                static: PORT_SCHEMA
+            }
+        },
+        publish: {
+            type: 'object',
+            properties: {
+                concurrency: { type: 'integer', minimum: 1, maximum: 64 }
+            }
+        },
+        snapshots: {
+            type: 'object',
+            properties: {
+                keep: { type: 'integer', minimum: 0 }
+            }
+        },
+        autoUpdate: {
+            type: 'object',
+            properties: {
+                schedule: { ...NON_EMPTY_STRING, nullable: true },
+                args: { type: 'array', items: NON_EMPTY_STRING }
+            }
+        },
+        sync: {
+            type: 'object',
+            properties: {
+                concurrency: { type: 'integer', minimum: 1, maximum: 32 },
+                retries: { type: 'integer', minimum: 1, maximum: 10 },
+                bandwidthLimit: { ...NON_EMPTY_STRING, nullable: true },
+                protect: { type: 'array', items: NON_EMPTY_STRING }
+            }
+        },
+        prune: {
+            type: 'object',
+            properties: {
+                keepVersions: { type: 'integer', minimum: 1 },
+                exclude: { type: 'array', items: NON_EMPTY_STRING }
+            }
+        },
+        distTags: {
+            type: 'object',
+            // 标签名不能是版本号或版本范围（npm 的限制）
+            propertyNames: DIST_TAG_PATTERN,
+            additionalProperties: {
+                type: 'object',
+                propertyNames: PACKAGE_NAME_PATTERN,
+                additionalProperties: { type: 'string', format: 'semver' }
+            }
+        },
+        staticServer: {
+            type: 'object',
+            properties: {
+                // { 路径前缀: Cache-Control }，路径前缀以 / 开头
+                cacheControl: { type: 'object', propertyNames: /^\//, additionalProperties: NON_EMPTY_STRING },
+                compression: {
+                    type: 'object',
+                    properties: {
+                        enabled: { type: 'boolean' },
+                        minSize: { type: 'integer', minimum: 0 },
+                        maxSize: NON_EMPTY_STRING,
+                        cacheSize: NON_EMPTY_STRING,
+                        precompress: { type: 'array', items: NON_EMPTY_STRING }
+                    }
+                },
+                cors: {
+                    type: 'object',
+                    properties: {
+                        origins: { type: 'array', items: NON_EMPTY_STRING },
+                        methods: { type: 'array', items: { type: 'string', enum: ['GET', 'HEAD', 'OPTIONS'] } },
+                        exposedHeaders: { type: 'array', items: { type: 'string', pattern: HTTP_HEADER_NAME_PATTERN } },
+                        maxAge: { type: 'integer', minimum: 0 }
+                    }
+                },
+                catalog: {
+                    type: 'object',
+                    properties: {
+                        enabled: { type: 'boolean' },
+                        pageSize: { type: 'integer', minimum: 1 },
+                        maxPageSize: { type: 'integer', minimum: 1 }
+                    }
+                },
+                accessLog: {
+                    type: 'object',
+                    properties: {
+                        enabled: { type: 'boolean' },
+                        file: { ...NON_EMPTY_STRING, nullable: true },
+                        format: { type: 'string', enum: ['common', 'combined', 'json'] },
+                        maxSize: NON_EMPTY_STRING,
+                        maxFiles: { type: 'integer', minimum: 0 }
+                    }
+                },
+                // { 路径通配符: { 响应头: 值 } }
+                headers: {
+                    type: 'object',
+                    propertyNames: /^\//,
+                    additionalProperties: {
+                        type: 'object',
+                        propertyNames: HTTP_HEADER_NAME_PATTERN,
+                        additionalProperties: { type: 'string', pattern: /^[^\r\n]*$/ }
+                    }
+                }
+            }
+        },
+        r2: {
+            type: 'object',
+            properties: {
+                publicUrl: { type: 'string', format: 'url' },
+                bucket: NON_EMPTY_STRING,
+                manifestFile: NON_EMPTY_STRING
+            }
+        },
+        user: {
+            type: 'object',
+            properties: {
+                username: { type: 'string', pattern: /^[A-Za-z0-9._-]+$/ },
+                password: NON_EMPTY_STRING,
+                email: NON_EMPTY_STRING
+            }
+        },
+        repos: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['name'],
+                properties: {
+                    // name 同时用作 repos/ 下的目录名，不能以 . 开头（repos/ 下的 . 目录用于暂存和快照）
+                    name: { type: 'string', pattern: /^[A-Za-z0-9_-][A-Za-z0-9._-]*$/ },
+                    github: { type: 'string', format: 'url' },
+                    // git 仓库地址，也可以是 SSH 地址或本地路径
+                    url: NON_EMPTY_STRING,
+                    // 覆盖全局 source
+                    source: SOURCE_SCHEMA,
+                    // 按顺序尝试的源码来源，配置后不再使用 github 和 url
+                    sources: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            required: ['type'],
+                            properties: {
+                                // zip: url 为下载地址或 path 为本地 zip 文件；git: url 为仓库地址；dir: path 为本地目录
+                                type: { type: 'string', enum: ['zip', 'git', 'dir'] },
+                                url: NON_EMPTY_STRING,
+                                path: NON_EMPTY_STRING,
+                                ref: NON_EMPTY_STRING
+                            }
+                        }
+                    },
+                    // git 模式下固定的分支、标签或提交，默认使用远程默认分支
+                    ref: NON_EMPTY_STRING,
+                    // 发布该仓库的包时使用的 dist-tag，默认 latest
+                    tag: { type: 'string', pattern: DIST_TAG_PATTERN },
+                    cmd: { type: 'array', items: NON_EMPTY_STRING },
+                    // 从离线介质更新（--from）时代替 cmd 执行的命令，不能依赖网络
+                    offlineCmd: { type: 'array', items: NON_EMPTY_STRING },
+                    public: { type: 'array', items: NON_EMPTY_STRING }
+                }
+            }
+        }
+    }
 };
 
+/**
+ * 按结构定义校验配置值，错误信息写入 errors（包含字段路径）
+ * @param {*} value - 待校验的值
+ * @param {Object} schema - 结构定义
+ * @param {string} field - 字段路径，如 repos[0].name
+ * @param {string[]} errors - 错误列表
+ */
+function validateConfigValue(value, schema, field, errors) {
+    const typeNames = { string: '字符串', integer: '整数', boolean: '布尔值', array: '数组', object: '对象' };
+    const typeMatches = {
+        string: v => typeof v === 'string',
+        integer: v => Number.isInteger(v),
+        boolean: v => typeof v === 'boolean',
+        array: v => Array.isArray(v),
+        object: v => v !== null && typeof v === 'object' && !Array.isArray(v)
+    };
+
+    if (value === null && schema.nullable) {
+        return;
+    }
+    if (!typeMatches[schema.type](value)) {
+        errors.push(`${field} 必须是${typeNames[schema.type]}`);
+        return;
+    }
+
+    if (schema.type === 'string') {
+        if (schema.minLength && value.length < schema.minLength) {
+            errors.push(`${field} 不能为空`);
+        }
+        if (schema.enum && !schema.enum.includes(value)) {
+            errors.push(`${field} 只能是 ${schema.enum.join(' / ')}: ${JSON.stringify(value)}`);
+        }
+        if (schema.pattern && !schema.pattern.test(value)) {
+            errors.push(`${field} 格式无效: ${JSON.stringify(value)}`);
+        }
+        if (schema.format === 'url' && !/^https?:\/\/[^\s]+$/.test(value)) {
+            errors.push(`${field} 必须是 http:// 或 https:// 开头的 URL: ${JSON.stringify(value)}`);
+        }
+        if (schema.format === 'semver' && !semver.valid(value)) {
+            errors.push(`${field} 不是有效的版本号: ${JSON.stringify(value)}`);
+        }
+    } else if (schema.type === 'integer') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push(`${field} 不能小于 ${schema.minimum}`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push(`${field} 不能大于 ${schema.maximum}`);
+        }
+    } else if (schema.type === 'array') {
+        value.forEach((item, i) => validateConfigValue(item, schema.items, `${field}[${i}]`, errors));
+    } else if (schema.type === 'object') {
+        for (const key of schema.required || []) {
+            if (value[key] === undefined) {
+                errors.push(`${field ? field + '.' : ''}${key} 为必填项`);
+            }
+        }
+        for (const [key, item] of Object.entries(value)) {
+            const itemField = field ? `${field}.${key}` : key;
+            // additionalProperties 用于键名不固定的对象（如 distTags），键名按 propertyNames 校验
+            const itemSchema = (schema.properties && schema.properties[key]) || schema.additionalProperties;
+            if (!itemSchema) {
+                errors.push(`${itemField} 不是可识别的配置项`);
+                continue;
+            }
+            if (schema.propertyNames && !schema.propertyNames.test(key)) {
+                errors.push(`${itemField} 名称无效: ${JSON.stringify(key)}`);
+            }
+            if (item !== undefined) {
+                validateConfigValue(item, itemSchema, itemField, errors);
+            }
+        }
+    }
+}
+
+/**
+ * 合并配置：对象逐字段合并，数组和其他值整体替换
+ */
+function mergeConfig(base, override) {
+    const result = { ...base };
+    for (const [key, value] of Object.entries(override)) {
+        const baseValue = base[key];
+        if (value && typeof value === 'object' && !Array.isArray(value) &&
+            baseValue && typeof baseValue === 'object' && !Array.isArray(baseValue)) {
+            result[key] = mergeConfig(baseValue, value);
+        } else {
+            result[key] = value;
+        }
+    }
+    return result;
+}
+
+/**
+ * 查找服务配置文件路径
+ * @returns {string|null}
+ */
+function findServiceConfigFile() {
+    const argIndex = process.argv.indexOf('--config');
+    if (argIndex !== -1) {
+        const file = process.argv[argIndex + 1];
+        if (!file) {
+            throw new Error('--config 需要指定配置文件路径');
+        }
+        return path.resolve(file);
+    }
+    if (process.env.AILY_SERVICE_CONFIG) {
+        return path.resolve(process.env.AILY_SERVICE_CONFIG);
+    }
+    for (const name of SERVICE_CONFIG_FILES) {
+        const file = path.join(__dirname, name);
+        if (fs.existsSync(file)) {
+            return file;
+        }
+    }
+    return null;
+}
+
+/**
+ * 加载并校验服务配置
+ * @param {string|null} file - 配置文件路径，为空时使用默认配置
+ * @returns {Object} 合并默认值后的配置
+ */
+function loadServiceConfig(file) {
+    if (!file) {
+        return DEFAULT_CONFIG;
+    }
+    if (!fs.existsSync(file)) {
+        throw new Error(`配置文件不存在: ${file}`);
+    }
+
+    let userConfig;
+    try {
+        const content = fs.readFileSync(file, 'utf8');
+        if (/\.ya?ml$/i.test(file)) {
+            userConfig = require('js-yaml').load(content);
+        } else {
+            userConfig = JSON.parse(content);
+        }
+    } catch (error) {
+        throw new Error(`配置文件解析失败 (${file}): ${error.message}`);
+    }
+
+    const errors = [];
+    validateConfigValue(userConfig === undefined ? {} : userConfig, CONFIG_SCHEMA, '', errors);
+
+    let config = null;
+    if (errors.length === 0) {
+        config = mergeConfig(DEFAULT_CONFIG, userConfig || {});
+
+        const seen = new Set();
+        config.repos.forEach((repo, i) => {
+            if (seen.has(repo.name)) {
+                errors.push(`repos[${i}].name 重复: ${repo.name}`);
+            }
+            seen.add(repo.name);
+            if (repo.tag && semver.validRange(repo.tag)) {
+                errors.push(`repos[${i}].tag 不能是版本号或版本范围: ${repo.tag}`);
+            }
+            if (!repo.sources) {
+                if (!repo.github) {
+                    errors.push(`repos[${i}].github 为必填项（或配置 sources）`);
+                }
+                return;
+            }
+            if (repo.sources.length === 0) {
+                errors.push(`repos[${i}].sources 不能为空`);
+            }
+            repo.sources.forEach((source, j) => {
+                const field = `repos[${i}].sources[${j}]`;
+                if (source.type === 'zip' && !source.url === !source.path) {
+                    errors.push(`${field} 需要 url（下载地址）或 path（本地 zip 文件）其中之一`);
+                } else if (source.type === 'git' && (!source.url || source.path)) {
+                    errors.push(`${field} 需要 url（git 仓库地址），不能使用 path`);
+                } else if (source.type === 'dir' && (!source.path || source.url)) {
+                    errors.push(`${field} 需要 path（本地目录），不能使用 url`);
+                }
+                if (source.type === 'zip' && source.url && !/^https?:\/\/[^\s]+$/.test(source.url)) {
+                    errors.push(`${field}.url 必须是 http:// 或 https:// 开头的 URL: ${JSON.stringify(source.url)}`);
+                }
+                if (source.ref && source.type !== 'git') {
+                    errors.push(`${field}.ref 只能用于 git 来源`);
+                }
+            });
+        });
+        for (const tag of Object.keys(config.distTags)) {
+            if (semver.validRange(tag)) {
+                errors.push(`distTags.${tag} 标签名不能是版本号或版本范围`);
+            }
+        }
+        if (config.staticServer.catalog.pageSize > config.staticServer.catalog.maxPageSize) {
+            errors.push('staticServer.catalog.pageSize 不能大于 staticServer.catalog.maxPageSize');
+        }
+        for (const key of ['maxSize', 'cacheSize']) {
+            try {
+                parseSize(config.staticServer.compression[key]);
+            } catch (error) {
+                errors.push(`staticServer.compression.${key} ${error.message}`);
+            }
+        }
+        try {
+            parseSize(config.staticServer.accessLog.maxSize);
+        } catch (error) {
+            errors.push(`staticServer.accessLog.maxSize ${error.message}`);
+        }
+        if (config.sync.bandwidthLimit) {
+            try {
+                parseBandwidth(config.sync.bandwidthLimit);
+            } catch (error) {
+                errors.push(`sync.bandwidthLimit ${error.message}`);
+            }
+        }
+        if (config.autoUpdate.schedule) {
+            try {
+                parseSchedule(config.autoUpdate.schedule);
+            } catch (error) {
+                errors.push(`autoUpdate.schedule ${error.message}`);
+            }
+        }
+        try {
+            validateScheduledUpdateArgs(config.autoUpdate.args, config);
+        } catch (error) {
+            errors.push(`autoUpdate.args ${error.message}`);
+        }
+        if (config.ports.registry === config.ports.static) {
+            errors.push(`ports.registry 和 ports.static 不能使用同一端口: ${config.ports.static}`);
+        }
+    }
+
+    if (errors.length > 0) {
+        throw new Error(`配置文件无效 (${file}):\n` + errors.map(e => `  - ${e}`).join('\n'));
+    }
+
+    // 本地来源的相对路径相对于配置文件所在目录
+    config.repos = config.repos.map(repo => !repo.sources ? repo : {
+        ...repo,
+        sources: repo.sources.map(source => source.path
+            ? { ...source, path: path.resolve(path.dirname(file), source.path) }
+            : source)
+    });
+
+    return config;
+}
+
+let serviceConfigFile;
+let serviceConfig;
+try {
+    serviceConfigFile = findServiceConfigFile();
+    serviceConfig = loadServiceConfig(serviceConfigFile);
+} catch (error) {
+    console.error(error.message);
+    process.exit(1);
+}
+
+/**
+ * 传递给子进程的配置文件参数，保证子进程使用同一份配置
+ */
+function serviceConfigArgs() {
+    return serviceConfigFile ? ['--config', serviceConfigFile] : [];
+}
+
+const REGISTRY_PORT = serviceConfig.ports.registry;
+// 告诉客户端的 registry 地址
+const REGISTRY_URL = `http://${serviceConfig.host}:${REGISTRY_PORT}`;
+// cli.js 自身访问 Verdaccio 使用的地址：host 是客户端使用的主机名，本机不一定能解析
+// 监听所有地址时使用 127.0.0.1，否则使用监听的地址
+const LOCAL_REGISTRY_HOST = ['0.0.0.0', '::'].includes(serviceConfig.listen) ? '127.0.0.1' : serviceConfig.listen;
+const LOCAL_REGISTRY_URL = `http://${LOCAL_REGISTRY_HOST.includes(':') ? `[${LOCAL_REGISTRY_HOST}]` : LOCAL_REGISTRY_HOST}:${REGISTRY_PORT}`;
+const STATIC_SERVER_PORT = serviceConfig.ports.static;
+const CLOUDFLARE_R2_CONFIG = serviceConfig.r2;
+const REPOS = serviceConfig.repos;
+
 /**
  * 等待 verdaccio 启动
  */
@@ -39,7 +652,7 @@ function waitForVerdaccio(maxRetries = 30, interval = 1000) {
         let retries = 0;
 
         const check = () => {
-            const req = http.get('http://localhost:4873/-/ping', (res) => {
+            const req = http.get(`${LOCAL_REGISTRY_URL}/-/ping`, (res) => {
                 res.resume(); // 消费响应数据
                 if (res.statusCode === 200) {
                     res.destroy(); // 销毁连接
@@ -74,86 +687,189 @@ function waitForVerdaccio(maxRetries = 30, interval = 1000) {
 }
 
 /**
- * 直接通过 htpasswd 文件创建用户（备用方案）
- * 这种方式不依赖 npm adduser 的交互式输入
+ * 以仅当前用户可读写的权限写入文件（用于保存密码、token 等敏感信息）
+ * 先写临时文件再重命名，避免写入中断导致文件损坏
  */
-function createUserViaHtpasswd(userInfo) {
-    // 注意：config.yaml 中配置的是 ./htpasswd，即项目根目录
-    const htpasswdPath = path.join(__dirname, 'htpasswd');
-    
-    console.log(`尝试通过 htpasswd 文件创建用户: ${userInfo.username}`);
-    console.log(`htpasswd 文件路径: ${htpasswdPath}`);
-    
-    // 生成 bcrypt 风格的密码哈希（Verdaccio 使用的格式）
-    // 使用 Apache 的 SHA1 格式: {SHA}base64(sha1(password))
-    const sha1Hash = crypto.createHash('sha1').update(userInfo.password).digest('base64');
-    const passwordHash = `{SHA}${sha1Hash}`;
-    
-    const userLine = `${userInfo.username}:${passwordHash}:autocreated ${new Date().toISOString()}`;
-    
-    try {
-        // 读取现有的 htpasswd 文件
-        let existingContent = '';
-        if (fs.existsSync(htpasswdPath)) {
-            existingContent = fs.readFileSync(htpasswdPath, 'utf8');
-            
-            // 检查用户是否已存在
-            const lines = existingContent.split('\n');
-            const userExists = lines.some(line => line.startsWith(userInfo.username + ':'));
-            
-            if (userExists) {
-                console.log(`用户 ${userInfo.username} 已存在于 htpasswd 文件中`);
-                return true;
+function writeSecretFile(file, content) {
+    const tempFile = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tempFile, content, { encoding: 'utf8', mode: 0o600 });
+    fs.renameSync(tempFile, file);
+    // 文件原本存在时 rename 会保留新文件权限，这里再确认一次
+    fs.chmodSync(file, 0o600);
+}
+
+/**
+ * 生成随机密码
+ */
+function generatePassword() {
+    return crypto.randomBytes(18).toString('base64url');
+}
+
+/**
+ * 读取 htpasswd 文件
+ * @returns {Array<{username: string, hash: string, comment: string}>}
+ */
+function readHtpasswd() {
+    if (!fs.existsSync(htpasswdPath)) {
+        return [];
+    }
+    return fs.readFileSync(htpasswdPath, 'utf8')
+        .split(/\r?\n/)
+        .filter(line => line.trim() && !line.startsWith('#'))
+        .map(line => {
+            const [username, hash, ...rest] = line.split(':');
+            return { username, hash: hash || '', comment: rest.join(':') };
+        });
+}
+
+/**
+ * 写入 htpasswd 文件（Verdaccio 会在文件变化后自动重新加载）
+ */
+function writeHtpasswd(entries) {
+    const content = entries.map(e => `${e.username}:${e.hash}:${e.comment}`).join('\n');
+    writeSecretFile(htpasswdPath, content ? content + '\n' : '');
+}
+
+/**
+ * 生成 bcrypt 密码哈希（Verdaccio htpasswd 插件的默认算法）
+ */
+function hashPassword(password) {
+    return bcrypt.hashSync(password, BCRYPT_ROUNDS);
+}
+
+/**
+ * 校验密码与 htpasswd 中的哈希是否匹配
+ * 兼容旧版本写入的 {SHA} 格式
+ */
+function verifyPassword(password, hash) {
+    if (hash.startsWith('{SHA}')) {
+        return hash === '{SHA}' + crypto.createHash('sha1').update(password).digest('base64');
+    }
+    if (/^\$2[aby]\$/.test(hash)) {
+        return bcrypt.compareSync(password, hash);
+    }
+    return false;
+}
+
+/**
+ * 在 htpasswd 中创建或更新用户
+ * @returns {'created'|'updated'}
+ */
+function setHtpasswdUser(username, password, comment) {
+    const entries = readHtpasswd();
+    const hash = hashPassword(password);
+    const existing = entries.find(e => e.username === username);
+    if (existing) {
+        existing.hash = hash;
+        writeHtpasswd(entries);
+        return 'updated';
+    }
+    entries.push({ username, hash, comment: `${comment} ${new Date().toISOString()}` });
+    writeHtpasswd(entries);
+    return 'created';
+}
+
+/**
+ * 读取凭据文件 (.env)
+ * @returns {Object<string, string>}
+ */
+function readCredentials() {
+    const result = {};
+    if (fs.existsSync(credentialsPath)) {
+        for (const line of fs.readFileSync(credentialsPath, 'utf8').split(/\r?\n/)) {
+            const match = line.match(/^\s*([A-Z0-9_]+)\s*=\s*(.*)$/);
+            if (match) {
+                result[match[1]] = match[2].trim();
             }
         }
-        
-        // 添加新用户
-        const newContent = existingContent ? existingContent.trim() + '\n' + userLine + '\n' : userLine + '\n';
-        fs.writeFileSync(htpasswdPath, newContent, 'utf8');
-        console.log(`用户 ${userInfo.username} 已通过 htpasswd 创建成功`);
-        return true;
-    } catch (error) {
-        console.error(`通过 htpasswd 创建用户失败: ${error.message}`);
-        return false;
     }
+    return result;
 }
 
 /**
- * 确保用户已创建
+ * 获取管理员账号
+ * 密码优先使用服务配置中的 user.password，否则使用 .env 中保存的密码，
+ * 首次运行时随机生成并保存到 .env（仅当前用户可读写）
+ * @param {{log: function, error: function}} logger - 日志输出，默认为 console
  */
-function ensureAuthenticated() {
-    console.log('通过 htpasswd 文件创建用户...');
-    const success = createUserViaHtpasswd(DEFAULT_USER);
-    
-    if (success) {
-        console.log(`用户 ${DEFAULT_USER.username} 已就绪`);
-        return DEFAULT_USER;
-    } else {
-        throw new Error('创建用户失败');
+function getAdminUser(logger = console) {
+    const { username, email, password } = serviceConfig.user;
+    if (password) {
+        return { username, email, password };
+    }
+
+    const credentials = readCredentials();
+    if (credentials.AILY_ADMIN_USERNAME === username && credentials.AILY_ADMIN_PASSWORD) {
+        return { username, email, password: credentials.AILY_ADMIN_PASSWORD };
+    }
+
+    const generated = generatePassword();
+    saveAdminPassword(username, generated);
+    logger.log(`已为 ${username} 生成随机密码，保存在: ${credentialsPath}`);
+    return { username, email, password: generated };
+}
+
+/**
+ * 将管理员密码保存到凭据文件 (.env)
+ */
+function saveAdminPassword(username, password) {
+    const credentials = readCredentials();
+    credentials.AILY_ADMIN_USERNAME = username;
+    credentials.AILY_ADMIN_PASSWORD = password;
+    const content = '# aily blockly 离线服务管理员账号（由 cli.js 自动生成，请勿提交或分享）\n' +
+        Object.entries(credentials).map(([key, value]) => `${key}=${value}`).join('\n') + '\n';
+    writeSecretFile(credentialsPath, content);
+}
+
+/**
+ * 确保管理员用户已创建，且 htpasswd 中的密码与当前凭据一致
+ * @param {{log: function, error: function}} logger - 日志输出，默认为 console
+ */
+function ensureAuthenticated(logger = console) {
+    const admin = getAdminUser(logger);
+    const existing = readHtpasswd().find(e => e.username === admin.username);
+
+    if (existing && existing.hash.startsWith('$2') && verifyPassword(admin.password, existing.hash)) {
+        logger.log(`用户 ${admin.username} 已就绪`);
+        return admin;
+    }
+
+    try {
+        // 用户不存在、密码已变更或仍为旧的 {SHA} 哈希时重新写入
+        const result = setHtpasswdUser(admin.username, admin.password, 'autocreated');
+        logger.log(`用户 ${admin.username} 已${result === 'created' ? '创建' : '更新密码'}`);
+    } catch (error) {
+        throw new Error(`写入 htpasswd 失败: ${error.message}`);
     }
+    return admin;
 }
 
 /**
  * 创建本地 .npmrc 配置文件
  * 配置 registry、认证 token 和禁用代理
+ * @param {{log: function, error: function}} logger - 日志输出，默认为 console
  */
-function createLocalNpmrc() {
+function createLocalNpmrc(admin, logger = console) {
     return new Promise((resolve, reject) => {
-        console.log('创建本地 .npmrc 配置文件...');
+        logger.log('创建本地 .npmrc 配置文件...');
+
+        // .npmrc 中按 registry 地址（去掉协议）配置认证信息
+        const registryScope = `${LOCAL_REGISTRY_URL.replace(/^http:/, '')}/`;
+        const noproxy = [...new Set(['localhost', '127.0.0.1', LOCAL_REGISTRY_HOST])].join(',');
         
         // 通过 Verdaccio API 登录获取真正的 token
         const postData = JSON.stringify({
-            name: DEFAULT_USER.username,
-            password: DEFAULT_USER.password
+            name: admin.username,
+            password: admin.password
         });
 
         // 生成 Basic Auth 头
-        const basicAuth = Buffer.from(`${DEFAULT_USER.username}:${DEFAULT_USER.password}`).toString('base64');
+        const basicAuth = Buffer.from(`${admin.username}:${admin.password}`).toString('base64');
         
         const req = http.request({
-            hostname: 'localhost',
-            port: 4873,
-            path: '/-/user/org.couchdb.user:' + DEFAULT_USER.username,
+            hostname: LOCAL_REGISTRY_HOST,
+            port: REGISTRY_PORT,
+            path: '/-/user/org.couchdb.user:' + encodeURIComponent(admin.username),
             method: 'PUT',
             headers: {
                 'Content-Type': 'application/json',
@@ -170,44 +886,44 @@ function createLocalNpmrc() {
                     
                     if (!token) {
                         // 如果没有获取到 token，使用 Basic Auth 方式
-                        console.log('使用 Basic Auth 认证方式...');
+                        logger.log('使用 Basic Auth 认证方式...');
                         const npmrcContent = `# 本地 Verdaccio 配置（由 cli.js 自动生成）
-registry=http://localhost:4873/
-//localhost:4873/:_auth=${basicAuth}
-//localhost:4873/:username=${DEFAULT_USER.username}
-//localhost:4873/:_password=${Buffer.from(DEFAULT_USER.password).toString('base64')}
+registry=${LOCAL_REGISTRY_URL}/
+${registryScope}:_auth=${basicAuth}
+${registryScope}:username=${admin.username}
+${registryScope}:_password=${Buffer.from(admin.password).toString('base64')}
 # 禁用代理以避免 localhost 请求走代理导致 502 错误
 proxy=null
 https-proxy=null
-noproxy=localhost,127.0.0.1
+noproxy=${noproxy}
 `;
-                        fs.writeFileSync(npmrcPath, npmrcContent, 'utf8');
-                        console.log(`本地 .npmrc 已创建 (Basic Auth): ${npmrcPath}`);
+                        writeSecretFile(npmrcPath, npmrcContent);
+                        logger.log(`本地 .npmrc 已创建 (Basic Auth): ${npmrcPath}`);
                         resolve(true);
                         return;
                     }
                     
                     const npmrcContent = `# 本地 Verdaccio 配置（由 cli.js 自动生成）
-registry=http://localhost:4873/
-//localhost:4873/:_authToken=${token}
+registry=${LOCAL_REGISTRY_URL}/
+${registryScope}:_authToken=${token}
 # 禁用代理以避免 localhost 请求走代理导致 502 错误
 proxy=null
 https-proxy=null
-noproxy=localhost,127.0.0.1
+noproxy=${noproxy}
 `;
                     
-                    fs.writeFileSync(npmrcPath, npmrcContent, 'utf8');
-                    console.log(`本地 .npmrc 已创建: ${npmrcPath}`);
+                    writeSecretFile(npmrcPath, npmrcContent);
+                    logger.log(`本地 .npmrc 已创建: ${npmrcPath}`);
                     resolve(true);
                 } catch (error) {
-                    console.error(`解析响应失败: ${error.message}`);
+                    logger.error(`解析响应失败: ${error.message}`);
                     reject(error);
                 }
             });
         });
         
         req.on('error', (error) => {
-            console.error(`请求失败: ${error.message}`);
+            logger.error(`请求失败: ${error.message}`);
             reject(error);
         });
         
@@ -216,59 +932,84 @@ noproxy=localhost,127.0.0.1
     });
 }
 
-const REPOS = [
-    {
-        name: 'aily-blockly-boards',
-        github: 'https://github.com/ailyProject/aily-blockly-boards/archive/refs/heads/main.zip',
-        url: 'https://gitee.com/coloz/aily-blockly-boards.git',
-        cmd: ["npm i", "node genjson.js"],
-        public: ["boards.json"]
-    },
-    {
-        name: 'aily-blockly-libraries',
-        github: 'https://github.com/ailyProject/aily-blockly-libraries/archive/refs/heads/main.zip',
-        url: 'https://gitee.com/coloz/aily-blockly-libraries.git',
-        cmd: ["npm i", "node genjson.js"],
-        public: ["libraries.json"]
-    },
-    {
-        name: 'aily-project-tools',
-        github: 'https://github.com/ailyProject/aily-project-tools/archive/refs/heads/main.zip',
-        url: 'https://gitee.com/coloz/aily-project-tools.git'
-    },
-    {
-        name: 'aily-project-compilers',
-        github: 'https://github.com/ailyProject/aily-project-compilers/archive/refs/heads/main.zip',
-        url: 'https://gitee.com/coloz/aily-project-compilers.git'
-    },
-    {
-        name: 'aily-project-sdks',
-        github: 'https://github.com/ailyProject/aily-project-sdks/archive/refs/heads/main.zip',
-        url: 'https://gitee.com/coloz/aily-project-sdks.git'
-    }
-];
-
-const args = process.argv.slice(2);
+// 去掉全局的 --config <文件> 参数，剩下的是命令及其参数
+const args = process.argv.slice(2).filter((arg, i, all) => arg !== '--config' && all[i - 1] !== '--config');
 const command = args[0];
 const subCommand = args[1];
 
+/**
+ * 读取命令行选项的值，如 --password <值>
+ * @param {string} name - 选项名
+ * @returns {string|undefined}
+ */
+function getOption(name) {
+    const index = args.indexOf(name);
+    if (index !== -1 && index + 1 < args.length) {
+        return args[index + 1];
+    }
+    return undefined;
+}
+
 function showHelp() {
     console.log(`
 Verdaccio 服务管理工具
 
 用法:
   node cli.js run                       启动 verdaccio 后台服务
+  node cli.js run --foreground          在前台单进程运行 verdaccio 和静态文件服务器
+  node cli.js run --auto-update <计划>  同时启动自动更新，计划为间隔（如 6h）或 cron 表达式（如 "0 2 * * *"）
+  node cli.js watch <计划> [update 参数] 在前台按计划定时执行 update
   node cli.js stop                      停止 verdaccio 后台服务
   node cli.js status                    查看 verdaccio 服务状态
   node cli.js update                    克隆/更新仓库、发布包并同步资源（跳过已存在的文件）
   node cli.js update --force            克隆/更新仓库、发布包并强制同步资源（覆盖已有文件）
+  node cli.js update --only <仓库[:包名],...>   只处理指定仓库（或仓库中匹配通配符的包）
+  node cli.js update --skip <仓库[:包名],...>   跳过指定仓库（或仓库中匹配通配符的包）
+  node cli.js update --source git|zip   优先使用 git 或 zip 来源，其余来源作为备用（默认使用配置中的 source）
+  node cli.js update --concurrency <N>  同时发布的包数量（默认使用配置中的 publish.concurrency）
+  node cli.js update --sync-concurrency <N> --bandwidth <速率>
+                                        资源同步的并发数和总带宽上限，如 --bandwidth 2MB（默认使用配置中的 sync）
+  node cli.js update --republish        移除已存在的版本后重新发布（会使客户端缓存的旧包失效）
+  node cli.js update --allow-downgrade  允许发布低于 latest 的版本
+  node cli.js update --dry-run [--json] 只显示执行计划，不做任何修改
+  node cli.js update --report <文件> [--html]
+                                        指定 update 报告路径（默认 reports/update-report.json），--html 同时生成 HTML 报告
+  node cli.js update --publish-only     只发布 repos/ 下已有的包（不下载、构建、复制和同步）
+  node cli.js update --mirror           资源同步时删除不在清单中的文件
+  node cli.js update --from <目录|zip>  从离线介质（U 盘、共享目录）更新，不访问网络，以 offlineCmd 代替 cmd
+  node cli.js sync [--force] [--mirror] [--from <目录|zip>] [--dry-run [--json]]
+                                        只同步资源，--mirror 删除清单管理的目录下不在清单中的文件，--from 从离线介质复制
+  node cli.js update --no-download | --no-build | --no-copy | --no-publish | --no-sync
+                                        跳过对应步骤
+  node cli.js export <文件> [--since <上一个离线包>]
+                                        导出离线包（Verdaccio 存储、public/ 和 htpasswd），--since 只导出变化的文件
+  node cli.js import <文件> [--force] [--no-start]
+                                        校验并导入离线包，然后重新启动服务
   node cli.js unpublish <包名>          从 npm 仓库中卸载指定的包
   node cli.js unpublish <包名>@<版本>   从 npm 仓库中卸载指定版本的包
+  node cli.js tag <包名>@<版本> <标签>  设置 dist-tag（如 classroom-2026）
+  node cli.js tag <包名>                查看包的 dist-tag
+  node cli.js prune [--keep <N>] [--dry-run] [--json]
+                                        删除源码仓库中已不存在的包，每个包只保留最新 N 个版本
+  node cli.js user add <用户名>         添加发布账号（未指定 --password 时随机生成密码）
+  node cli.js user remove <用户名>      删除发布账号
+  node cli.js user passwd <用户名>      重设账号密码（未指定 --password 时随机生成密码）
+  node cli.js user list                 列出所有账号（不显示密码）
+  node cli.js rollback [仓库]           回滚到上一个快照（未指定仓库时回滚最近一次 update）
+  node cli.js rollback --list           列出各仓库的快照
   node cli.js help                      显示帮助信息
 
+全局选项:
+  --config <文件>                       指定服务配置文件（默认查找 aily-service.config.json/.yaml/.yml）
+
 示例:
   node cli.js unpublish @aily/arduino_uno
   node cli.js unpublish @aily/arduino_uno@1.0.0
+  node cli.js user add lab-assistant
+  node cli.js tag @aily/arduino_uno@1.0.0 classroom-2026
+  node cli.js update --only aily-blockly-libraries:@aily/lib-servo* --publish-only
+  node cli.js export aily-bundle-2026-09.tar.gz
+  node cli.js export aily-bundle-2026-10.tar.gz --since aily-bundle-2026-09.tar.gz
 `);
 }
 
@@ -277,88 +1018,168 @@ function isProcessRunning(pid) {
         process.kill(pid, 0);
         return true;
     } catch (e) {
-        return false;
+        // EPERM 表示进程存在但无权发送信号
+        return e.code === 'EPERM';
     }
 }
 
-function getPid() {
-    if (fs.existsSync(pidFile)) {
-        const pid = parseInt(fs.readFileSync(pidFile, 'utf8').trim(), 10);
+/**
+ * 读取 PID 文件，进程已不存在时清理 PID 文件
+ * @param {string} file - PID 文件路径
+ * @returns {number|null}
+ */
+function readPidFile(file) {
+    if (fs.existsSync(file)) {
+        const pid = parseInt(fs.readFileSync(file, 'utf8').trim(), 10);
         if (!isNaN(pid) && isProcessRunning(pid)) {
             return pid;
         }
         // PID 文件存在但进程不存在，清理 PID 文件
-        fs.unlinkSync(pidFile);
+        removePidFile(file);
     }
     return null;
 }
 
-async function startVerdaccio() {
-    const existingPid = getPid();
-    if (existingPid) {
-        console.log(`Verdaccio 已经在运行中 (PID: ${existingPid})`);
-    } else {
-        console.log('正在启动 Verdaccio 后台服务...');
+function removePidFile(file) {
+    try {
+        fs.unlinkSync(file);
+    } catch (e) {
+        // 文件已不存在
+    }
+}
 
-        // 使用 wscript 运行 VBS 脚本来启动隐藏窗口的进程
-        const vbsScript = path.join(__dirname, '.start-verdaccio.vbs');
-        const vbsContent = `Set WshShell = CreateObject("WScript.Shell")
-WshShell.Run """${verdaccioBin.replace(/\\/g, '\\\\')}""" & " --config " & """${configPath.replace(/\\/g, '\\\\')}""", 0, False
-`;
-        fs.writeFileSync(vbsScript, vbsContent);
+function getPid() {
+    return readPidFile(pidFile);
+}
 
-        try {
-            execSync(`cscript //nologo "${vbsScript}"`, {
-                encoding: 'utf8',
-                windowsHide: true
-            });
+function getForegroundPid() {
+    return readPidFile(foregroundPidFile);
+}
 
-            // 等待一下让进程启动
-            execSync('ping 127.0.0.1 -n 2 > nul', { shell: true, windowsHide: true });
+/**
+ * 以脱离父进程的方式启动后台进程，并记录真实 PID
+ * @param {string} bin - 可执行文件
+ * @param {string[]} binArgs - 参数
+ * @param {Object} options
+ * @param {string} options.pidFile - PID 文件路径
+ * @param {string} [options.logFile] - 输出日志文件，不指定则丢弃输出
+ * @returns {Promise<number>} 子进程 PID
+ */
+function spawnDetached(bin, binArgs, options) {
+    return new Promise((resolve, reject) => {
+        let out = 'ignore';
+        if (options.logFile) {
+            out = fs.openSync(options.logFile, 'a');
+        }
 
-            // 通过 PowerShell 查找 verdaccio 进程的 PID
-            const psCmd = `powershell -Command "Get-CimInstance Win32_Process | Where-Object { $_.CommandLine -like '*verdaccio*' -and $_.CommandLine -like '*config.yaml*' } | Select-Object -First 1 -ExpandProperty ProcessId"`;
-            const result = execSync(psCmd, {
-                encoding: 'utf8',
+        let child;
+        try {
+            // detached 在 POSIX 上会让子进程成为新进程组的组长，便于整组停止；
+            // 在 Windows 上则让子进程脱离当前控制台
+            child = spawn(bin, binArgs, {
+                cwd: __dirname,
+                detached: true,
+                stdio: ['ignore', out, out],
                 windowsHide: true
-            }).trim();
+            });
+        } catch (e) {
+            if (typeof out === 'number') fs.closeSync(out);
+            reject(e);
+            return;
+        }
+        if (typeof out === 'number') fs.closeSync(out);
+
+        child.once('error', reject);
+        child.once('spawn', () => {
+            child.removeListener('error', reject);
+            child.unref();
+            fs.writeFileSync(options.pidFile, child.pid.toString());
+            resolve(child.pid);
+        });
+    });
+}
 
-            if (result && !isNaN(parseInt(result, 10))) {
-                const pid = parseInt(result, 10);
-                fs.writeFileSync(pidFile, pid.toString());
-                console.log(`Verdaccio 后台服务已启动 (PID: ${pid})`);
-                console.log(`访问地址: http://localhost:4873`);
-            } else {
-                console.log('Verdaccio 后台服务已启动（无法获取 PID）');
-                console.log(`访问地址: http://localhost:4873`);
-            }
+/**
+ * 停止进程（包括其子进程）
+ * Windows 使用 taskkill 终止进程树；POSIX 先向进程组发送 SIGTERM，超时后发送 SIGKILL
+ * @param {number} pid - 进程 PID
+ * @param {number} timeout - 等待进程退出的时间（毫秒）
+ * @returns {Promise<boolean>} 进程是否已退出
+ */
+async function stopProcess(pid, timeout = 5000) {
+    if (isWindows) {
+        execSync(`taskkill /PID ${pid} /T /F`, { stdio: 'ignore', windowsHide: true });
+        return true;
+    }
 
-            // 删除临时 VBS 文件
-            fs.unlinkSync(vbsScript);
+    const signal = (sig) => {
+        try {
+            // 负 PID 表示整个进程组
+            process.kill(-pid, sig);
         } catch (e) {
-            console.error('启动 Verdaccio 失败:', e.message);
-            if (fs.existsSync(vbsScript)) fs.unlinkSync(vbsScript);
-            return;
+            if (e.code !== 'ESRCH') throw e;
+            try { process.kill(pid, sig); } catch (err) { if (err.code !== 'ESRCH') throw err; }
         }
+    };
+
+    signal('SIGTERM');
+    const deadline = Date.now() + timeout;
+    while (Date.now() < deadline) {
+        if (!isProcessRunning(pid)) return true;
+        await new Promise(resolve => setTimeout(resolve, 200));
     }
 
-    // 等待 verdaccio 启动并进行用户认证
-    console.log('等待 Verdaccio 服务就绪...');
-    try {
+    signal('SIGKILL');
+    await new Promise(resolve => setTimeout(resolve, 200));
+    return !isProcessRunning(pid);
+}
+
+async function startVerdaccio() {
+    const existingPid = getPid();
+    if (existingPid) {
+        console.log(`Verdaccio 已经在运行中 (PID: ${existingPid})`);
+    } else {
+        console.log('正在启动 Verdaccio 后台服务...');
+
+        try {
+            const pid = await spawnDetached(process.execPath, [verdaccioBin, '--config', configPath, '--listen', `${serviceConfig.listen}:${REGISTRY_PORT}`], {
+                pidFile,
+                logFile: verdaccioLogFile
+            });
+            console.log(`Verdaccio 后台服务已启动 (PID: ${pid})`);
+            console.log(`访问地址: ${REGISTRY_URL}`);
+            console.log(`日志文件: ${verdaccioLogFile}`);
+        } catch (e) {
+            console.error('启动 Verdaccio 失败:', e.message);
+            return;
+        }
+    }
+
+    // 等待 verdaccio 启动并进行用户认证
+    console.log('等待 Verdaccio 服务就绪...');
+    try {
         await waitForVerdaccio(30, 1000);
         console.log('Verdaccio 服务已就绪');
     } catch (error) {
         console.error('Verdaccio 启动超时:', error.message);
+        if (!getPid()) {
+            console.error(`Verdaccio 进程已退出，请查看日志: ${verdaccioLogFile}`);
+        }
         return;
     }
 
-    // 确保用户已创建
+    await prepareRegistryAuth();
+}
+
+/**
+ * 确保用户已创建并生成本地 .npmrc
+ */
+async function prepareRegistryAuth() {
     try {
-        const authInfo = ensureAuthenticated();
-        console.log(`已创建用户: ${authInfo.username}`);
+        const admin = ensureAuthenticated();
         
         // 创建本地 .npmrc 配置文件
-        await createLocalNpmrc();
+        await createLocalNpmrc(admin);
     } catch (error) {
         console.error('用户创建或配置失败:', error.message);
     }
@@ -368,24 +1189,86 @@ WshShell.Run """${verdaccioBin.replace(/\\/g, '\\\\')}""" & " --config " & """${
  * 获取静态服务器 PID
  */
 function getStaticPid() {
-    if (fs.existsSync(staticPidFile)) {
-        const pid = parseInt(fs.readFileSync(staticPidFile, 'utf8').trim());
-        // 检查进程是否存在
-        try {
-            process.kill(pid, 0);
-            return pid;
-        } catch (e) {
-            // PID 文件存在但进程不存在，清理 PID 文件
-            fs.unlinkSync(staticPidFile);
+    return readPidFile(staticPidFile);
+}
+
+/**
+ * 让服务器开始监听端口
+ * @param {http.Server} server
+ * @param {number} port
+ * @param {string} [host] - 监听地址
+ * @returns {Promise<http.Server>}
+ */
+function listenServer(server, port, host) {
+    return new Promise((resolve, reject) => {
+        const onError = (err) => reject(err);
+        server.once('error', onError);
+        server.listen(port, host, () => {
+            server.removeListener('error', onError);
+            resolve(server);
+        });
+    });
+}
+
+/**
+ * 关闭服务器：停止接收新连接，等待已有请求完成，超时后强制断开
+ * @param {http.Server} server
+ * @param {number} timeout - 等待已有连接的时间（毫秒）
+ * @returns {Promise<void>}
+ */
+function closeServer(server, timeout = 10000) {
+    return new Promise((resolve) => {
+        if (!server.listening) {
+            resolve();
+            return;
         }
+        const timer = setTimeout(() => server.closeAllConnections(), timeout);
+        server.close(() => {
+            clearTimeout(timer);
+            resolve();
+        });
+        server.closeIdleConnections();
+    });
+}
+
+/**
+ * 按服务配置创建静态文件服务器
+ * @param {boolean} [foreground=false] - 是否前台运行（run --foreground），未配置访问日志文件时输出到标准输出
+ */
+function createConfiguredStaticServer(foreground = false) {
+    const { accessLog } = serviceConfig.staticServer;
+    let file = accessLog.file && path.resolve(__dirname, accessLog.file);
+    if (accessLog.file === undefined) {
+        file = foreground ? null : staticAccessLogFile;
     }
-    return null;
+    return createStaticServer({
+        ...serviceConfig.staticServer,
+        root: publicDir,
+        storageDir: getStorageDir(),
+        accessLog: { ...accessLog, file }
+    });
+}
+
+/**
+ * 在当前进程中运行静态文件服务器（由后台子进程调用）
+ */
+async function serveStatic() {
+    const server = createConfiguredStaticServer();
+    await listenServer(server, STATIC_SERVER_PORT, serviceConfig.listen);
+    console.log(`Static server running on http://${serviceConfig.host}:${STATIC_SERVER_PORT}`);
+
+    const shutdown = async () => {
+        await closeServer(server);
+        process.exit(0);
+    };
+    process.once('SIGINT', shutdown);
+    process.once('SIGTERM', shutdown);
 }
 
 /**
  * 启动静态文件服务器
  */
-function startStaticServer() {
+async function startStaticServer() {
     const existingPid = getStaticPid();
     if (existingPid) {
         console.log(`静态文件服务器已经在运行中 (PID: ${existingPid})`);
@@ -394,171 +1277,161 @@ function startStaticServer() {
 
     console.log('正在启动静态文件服务器...');
 
-    // 内联的静态服务器代码
-    const serverCode = `
-const http = require('http');
-const fs = require('fs');
-const path = require('path');
-const url = require('url');
-
-const publicDir = ${JSON.stringify(publicDir)};
-const port = ${STATIC_SERVER_PORT};
-
-const mimeTypes = {
-  '.html': 'text/html',
-  '.js': 'application/javascript',
-  '.css': 'text/css',
-  '.json': 'application/json',
-  '.png': 'image/png',
-  '.jpg': 'image/jpeg',
-  '.jpeg': 'image/jpeg',
-  '.gif': 'image/gif',
-  '.svg': 'image/svg+xml',
-  '.ico': 'image/x-icon',
-  '.webp': 'image/webp',
-  '.woff': 'font/woff',
-  '.woff2': 'font/woff2',
-  '.ttf': 'font/ttf',
-  '.txt': 'text/plain',
-  '.xml': 'application/xml',
-  '.pdf': 'application/pdf',
-  '.zip': 'application/zip'
-};
+    // 启动 detached 子进程，由子进程执行 static-server 内部命令
+    try {
+        const pid = await spawnDetached(process.execPath, [__filename, 'static-server', ...serviceConfigArgs()], {
+            pidFile: staticPidFile,
+            logFile: staticLogFile
+        });
+        console.log(`静态文件服务器已启动 (PID: ${pid})`);
+        console.log(`访问地址: http://${serviceConfig.host}:${STATIC_SERVER_PORT}`);
+        console.log(`日志文件: ${staticLogFile}`);
+    } catch (e) {
+        console.error('启动静态文件服务器失败:', e.message);
+    }
+}
 
-const server = http.createServer((req, res) => {
-  if (req.method !== 'GET') {
-    res.writeHead(405, { 'Content-Type': 'text/plain' });
-    res.end('Method Not Allowed');
-    return;
-  }
-
-  const parsedUrl = url.parse(req.url, true);
-  let pathname = decodeURIComponent(parsedUrl.pathname);
-  
-  if (pathname === '/') {
-    pathname = '/index.html';
-  }
-
-  const filePath = path.join(publicDir, pathname);
-  
-  if (!filePath.startsWith(publicDir)) {
-    res.writeHead(403, { 'Content-Type': 'text/plain' });
-    res.end('Forbidden');
-    return;
-  }
-
-  fs.stat(filePath, (err, stats) => {
-    if (err || !stats.isFile()) {
-      res.writeHead(404, { 'Content-Type': 'text/plain' });
-      res.end('Not Found');
-      return;
-    }
-
-    const ext = path.extname(filePath).toLowerCase();
-    const contentType = mimeTypes[ext] || 'application/octet-stream';
-
-    fs.readFile(filePath, (err, data) => {
-      if (err) {
-        res.writeHead(500, { 'Content-Type': 'text/plain' });
-        res.end('Internal Server Error');
+/**
+ * 前台模式：在当前进程中同时运行 Verdaccio 和静态文件服务器，日志输出到 stdout
+ * 收到 SIGINT/SIGTERM 时等待已有连接完成后退出；任一服务出现致命错误时以非零退出码退出
+ * @param {string} [autoUpdate] - 自动更新计划，指定时按计划启动 update 子进程
+ */
+async function runForeground(autoUpdate) {
+    const existingPid = getPid() || getStaticPid();
+    if (existingPid) {
+        console.error(`后台服务正在运行 (PID: ${existingPid})，请先执行: node cli.js stop`);
+        process.exitCode = 1;
         return;
-      }
-
-      res.writeHead(200, { 'Content-Type': contentType });
-      res.end(data);
-    });
-  });
-});
-
-server.listen(port, () => {
-  console.log('Static server running on http://localhost:' + port);
-});
-`;
-
-    // 使用 spawn 启动 detached 子进程，直接执行内联代码
-    const child = spawn('node', ['-e', serverCode], {
-        detached: true,
-        stdio: 'ignore',
-        windowsHide: true
-    });
+    }
+    const foregroundPid = getForegroundPid();
+    if (foregroundPid) {
+        console.error(`服务已在前台运行 (PID: ${foregroundPid})`);
+        process.exitCode = 1;
+        return;
+    }
+    fs.writeFileSync(foregroundPidFile, String(process.pid));
+
+    const servers = [];
+    let scheduler = null;
+    let shuttingDown = false;
+
+    const shutdown = async (code, reason) => {
+        if (shuttingDown) return;
+        shuttingDown = true;
+        console.log(`${reason}，正在关闭服务...`);
+        if (scheduler) await scheduler.stop();
+        await Promise.all(servers.map(server => closeServer(server)));
+        removePidFile(foregroundPidFile);
+        console.log('服务已关闭');
+        process.exit(code);
+    };
+
+    const fatal = (name) => (err) => {
+        console.error(`${name} 发生致命错误:`, err && err.stack ? err.stack : err);
+        shutdown(1, `${name} 异常`);
+    };
+
+    process.on('SIGINT', () => shutdown(0, '收到 SIGINT'));
+    process.on('SIGTERM', () => shutdown(0, '收到 SIGTERM'));
+    process.on('uncaughtException', fatal('进程'));
+    process.on('unhandledRejection', fatal('进程'));
 
-    child.unref();
+    try {
+        console.log('正在启动 Verdaccio...');
+        const { runServer } = require('verdaccio');
+        const registry = await runServer(configPath);
+        servers.push(registry);
+        await listenServer(registry, REGISTRY_PORT, serviceConfig.listen);
+        registry.on('error', fatal('Verdaccio'));
+        console.log(`Verdaccio 已启动: ${REGISTRY_URL}`);
+
+        console.log('正在启动静态文件服务器...');
+        const staticServer = createConfiguredStaticServer(true);
+        servers.push(staticServer);
+        await listenServer(staticServer, STATIC_SERVER_PORT, serviceConfig.listen);
+        staticServer.on('error', fatal('静态文件服务器'));
+        console.log(`静态文件服务器已启动: http://${serviceConfig.host}:${STATIC_SERVER_PORT}`);
+    } catch (error) {
+        fatal('启动')(error);
+        return;
+    }
 
-    // 保存 PID
-    if (child.pid) {
-        fs.writeFileSync(staticPidFile, child.pid.toString());
-        console.log(`静态文件服务器已启动 (PID: ${child.pid})`);
-        console.log(`访问地址: http://localhost:${STATIC_SERVER_PORT}`);
-    } else {
-        console.log('静态文件服务器已启动（无法获取 PID）');
+    await prepareRegistryAuth();
+    if (autoUpdate && !shuttingDown) {
+        console.log(`[自动更新] 计划: ${autoUpdate}`);
+        scheduler = createUpdateScheduler(parseSchedule(autoUpdate), serviceConfig.autoUpdate.args);
     }
+    console.log('服务已在前台运行，按 Ctrl+C 停止');
 }
 
-function stopVerdaccio() {
+/**
+ * 停止所有后台服务（自动更新、静态文件服务器和 Verdaccio）
+ * @returns {Promise<boolean>} 是否全部已停止；未能停止的进程保留 PID 文件，status / stop 仍能找到它
+ */
+async function stopVerdaccio() {
+    // 先停止自动更新，避免在服务停止过程中启动 update
+    const autoUpdateStopped = await stopAutoUpdate();
+
     // 停止静态文件服务器
-    stopStaticServer();
+    const staticStopped = await stopStaticServer();
 
     const pid = getPid();
     if (!pid) {
         console.log('Verdaccio 服务未在运行');
-        return;
+        return autoUpdateStopped && staticStopped;
     }
 
     console.log(`正在停止 Verdaccio 服务 (PID: ${pid})...`);
 
+    let stopped = false;
     try {
-        // Windows 下使用 taskkill 来终止进程树
-        const { execSync } = require('child_process');
-        execSync(`taskkill /PID ${pid} /T /F`, { stdio: 'ignore' });
-
-        // 删除 PID 文件
-        if (fs.existsSync(pidFile)) {
-            fs.unlinkSync(pidFile);
+        stopped = await stopProcess(pid);
+        if (stopped) {
+            console.log('Verdaccio 服务已停止');
+        } else {
+            console.error(`Verdaccio 服务未能停止 (PID: ${pid})`);
         }
-
-        console.log('Verdaccio 服务已停止');
     } catch (e) {
         console.error('停止服务失败:', e.message);
-        // 尝试清理 PID 文件
-        if (fs.existsSync(pidFile)) {
-            fs.unlinkSync(pidFile);
-        }
     }
+    // 进程已退出才清理 PID 文件
+    if (stopped) removePidFile(pidFile);
+    return stopped && autoUpdateStopped && staticStopped;
 }
 
 /**
  * 停止静态文件服务器
+ * @returns {Promise<boolean>} 是否已停止（未在运行也返回 true）
  */
-function stopStaticServer() {
+async function stopStaticServer() {
     const pid = getStaticPid();
     if (!pid) {
         console.log('静态文件服务器未在运行');
-        return;
+        return true;
     }
 
     console.log(`正在停止静态文件服务器 (PID: ${pid})...`);
 
+    let stopped = false;
     try {
-        execSync(`taskkill /PID ${pid} /T /F`, { stdio: 'ignore' });
-
-        if (fs.existsSync(staticPidFile)) {
-            fs.unlinkSync(staticPidFile);
+        stopped = await stopProcess(pid);
+        if (stopped) {
+            console.log('静态文件服务器已停止');
+        } else {
+            console.error(`静态文件服务器未能停止 (PID: ${pid})`);
         }
-
-        console.log('静态文件服务器已停止');
     } catch (e) {
         console.error('停止静态文件服务器失败:', e.message);
-        if (fs.existsSync(staticPidFile)) {
-            fs.unlinkSync(staticPidFile);
-        }
     }
+    if (stopped) removePidFile(staticPidFile);
+    return stopped;
 }
 
 function showStatus() {
     const pid = getPid();
     if (pid) {
         console.log(`Verdaccio 服务正在运行 (PID: ${pid})`);
-        console.log(`访问地址: http://localhost:4873`);
+        console.log(`访问地址: ${REGISTRY_URL}`);
     } else {
         console.log('Verdaccio 服务未在运行');
     }
@@ -566,21 +1439,53 @@ function showStatus() {
     const staticPid = getStaticPid();
     if (staticPid) {
         console.log(`静态文件服务器正在运行 (PID: ${staticPid})`);
-        console.log(`访问地址: http://localhost:${STATIC_SERVER_PORT}`);
+        console.log(`访问地址: http://${serviceConfig.host}:${STATIC_SERVER_PORT}`);
     } else {
         console.log('静态文件服务器未在运行');
     }
+
+    const autoUpdate = readAutoUpdateState();
+    if (autoUpdate) {
+        const next = autoUpdate.running ? '正在运行 update' : `下次运行: ${new Date(autoUpdate.nextRun).toLocaleString()}`;
+        console.log(`自动更新已启用 (PID: ${autoUpdate.pid}，计划: ${autoUpdate.schedule}，${next})`);
+    } else {
+        console.log('自动更新未启用');
+    }
+
+    const lockHolder = readUpdateLock();
+    if (lockHolder) {
+        console.log(`${lockHolder.command} 正在运行 (PID: ${lockHolder.pid}，开始于 ${new Date(lockHolder.startedAt).toLocaleString()})`);
+    }
+
+    const lastRun = readUpdateState().lastRun;
+    if (lastRun) {
+        const statusText = { success: '成功', failed: '有步骤失败', aborted: '未执行（已中止）' }[lastRun.status] || lastRun.status;
+        const trigger = lastRun.trigger === 'schedule' ? '定时' : '手动';
+        console.log(`上次 update: ${new Date(lastRun.finishedAt).toLocaleString()}（${trigger}，${statusText}）`);
+        if (lastRun.report) console.log(`报告: ${lastRun.report}`);
+    } else {
+        console.log('上次 update: 无记录');
+    }
+
+    const bundle = readBundleState();
+    if (bundle) {
+        console.log(`离线包: ${bundle.id}（创建于 ${new Date(bundle.createdAt).toLocaleString()}，导入于 ${new Date(bundle.importedAt).toLocaleString()}）`);
+    }
 }
 
+/**
+ * 执行命令，输出直接显示在控制台
+ * @returns {{ok: boolean, error: string|null}}
+ */
 function runCommand(cmd, cwd, description) {
     console.log(`>>> ${description}`);
     console.log(`>>> 目录: ${cwd}`);
     try {
         execSync(cmd, { cwd, stdio: 'inherit', shell: true });
-        return true;
+        return { ok: true, error: null };
     } catch (e) {
         console.error(`命令执行失败: ${e.message}`);
-        return false;
+        return { ok: false, error: e.message };
     }
 }
 
@@ -685,523 +1590,4049 @@ function downloadFile(fileUrl, destPath, maxRedirects = 5, isRedirect = false) {
     });
 }
 
+let crc32Table = null;
+
 /**
- * 解压 zip 文件（使用 PowerShell）
+ * 计算 CRC32（zip 文件校验使用）
+ * @param {Buffer} buffer - 数据
+ * @param {number} crc - 上一段数据的 CRC，用于分段计算
  */
-function extractZip(zipPath, destDir) {
-    return new Promise((resolve, reject) => {
-        console.log(`正在解压: ${zipPath} -> ${destDir}`);
-        try {
-            // 确保目标目录存在
-            if (!fs.existsSync(destDir)) {
-                fs.mkdirSync(destDir, { recursive: true });
+function crc32(buffer, crc = 0) {
+    if (!crc32Table) {
+        crc32Table = new Int32Array(256);
+        for (let i = 0; i < 256; i++) {
+            let c = i;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
             }
-
-            // 使用 PowerShell 解压
-            const cmd = `powershell -Command "Expand-Archive -Path '${zipPath}' -DestinationPath '${destDir}' -Force"`;
-            execSync(cmd, { stdio: 'inherit', shell: true });
-            console.log(`解压完成: ${destDir}`);
-            resolve(destDir);
-        } catch (e) {
-            reject(new Error(`解压失败: ${e.message}`));
+            crc32Table[i] = c;
         }
-    });
+    }
+    crc = ~crc;
+    for (let i = 0; i < buffer.length; i++) {
+        crc = crc32Table[(crc ^ buffer[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return ~crc >>> 0;
 }
 
 /**
- * 从 GitHub 下载 zip 并解压到指定目录
- * @param {Object} repo - 仓库配置
- * @param {string} reposDir - 仓库目录
- * @param {number} maxRetries - 最大重试次数
+ * 读取 zip 中央目录，返回所有条目
+ * @param {fs.promises.FileHandle} handle - zip 文件句柄
+ * @returns {Promise<Array<Object>>}
  */
-async function downloadAndExtractRepo(repo, reposDir, maxRetries = 3) {
-    const repoPath = path.join(reposDir, repo.name);
-    const zipPath = path.join(reposDir, `${repo.name}.zip`);
-    const tempExtractDir = path.join(reposDir, `${repo.name}-temp`);
-
-    let lastError = null;
-    
-    for (let attempt = 1; attempt <= maxRetries; attempt++) {
-        try {
-            if (attempt > 1) {
-                console.log(`第 ${attempt}/${maxRetries} 次重试下载: ${repo.name}`);
-            }
-            
-            // 1. 下载 zip 文件
-            await downloadFile(repo.github, zipPath);
-
-            // 2. 删除旧的仓库目录（如果存在）
-            if (fs.existsSync(repoPath)) {
-                console.log(`删除旧目录: ${repoPath}`);
-                fs.rmSync(repoPath, { recursive: true, force: true });
-            }
+async function readZipEntries(handle) {
+    const { size } = await handle.stat();
+    const read = async (position, length) => {
+        const buffer = Buffer.alloc(length);
+        const { bytesRead } = await handle.read(buffer, 0, length, position);
+        return buffer.subarray(0, bytesRead);
+    };
+
+    // 中央目录结束记录位于文件末尾，后面最多跟 65535 字节的注释
+    const tailSize = Math.min(size, 22 + 0xFFFF);
+    const tail = await read(size - tailSize, tailSize);
+    let eocd = -1;
+    for (let i = tail.length - 22; i >= 0; i--) {
+        if (tail.readUInt32LE(i) === 0x06054b50) {
+            eocd = i;
+            break;
+        }
+    }
+    if (eocd === -1) {
+        throw new Error('不是有效的 zip 文件（找不到中央目录）');
+    }
 
-            // 3. 删除临时解压目录（如果存在）
-            if (fs.existsSync(tempExtractDir)) {
-                fs.rmSync(tempExtractDir, { recursive: true, force: true });
+    let entryCount = tail.readUInt16LE(eocd + 10);
+    let cdSize = tail.readUInt32LE(eocd + 12);
+    let cdOffset = tail.readUInt32LE(eocd + 16);
+
+    // zip64：条目数或偏移量超出 32 位时从 zip64 结束记录读取
+    if (entryCount === 0xFFFF || cdSize === 0xFFFFFFFF || cdOffset === 0xFFFFFFFF) {
+        const locatorPos = size - tailSize + eocd - 20;
+        const locator = await read(locatorPos, 20);
+        if (locator.length === 20 && locator.readUInt32LE(0) === 0x07064b50) {
+            const zip64Eocd = await read(Number(locator.readBigUInt64LE(8)), 56);
+            if (zip64Eocd.readUInt32LE(0) !== 0x06064b50) {
+                throw new Error('zip64 结束记录无效');
             }
+            entryCount = Number(zip64Eocd.readBigUInt64LE(32));
+            cdSize = Number(zip64Eocd.readBigUInt64LE(40));
+            cdOffset = Number(zip64Eocd.readBigUInt64LE(48));
+        }
+    }
 
-            // 4. 解压到临时目录
-            await extractZip(zipPath, tempExtractDir);
+    const cd = await read(cdOffset, cdSize);
+    const entries = [];
+    let pos = 0;
+    for (let i = 0; i < entryCount; i++) {
+        if (pos + 46 > cd.length || cd.readUInt32LE(pos) !== 0x02014b50) {
+            throw new Error('zip 中央目录已损坏');
+        }
+        const nameLength = cd.readUInt16LE(pos + 28);
+        const extraLength = cd.readUInt16LE(pos + 30);
+        const commentLength = cd.readUInt16LE(pos + 32);
+        const entry = {
+            madeBy: cd.readUInt16LE(pos + 4) >> 8,
+            flags: cd.readUInt16LE(pos + 8),
+            method: cd.readUInt16LE(pos + 10),
+            crc: cd.readUInt32LE(pos + 16),
+            compressedSize: cd.readUInt32LE(pos + 20),
+            size: cd.readUInt32LE(pos + 24),
+            externalAttrs: cd.readUInt32LE(pos + 38),
+            offset: cd.readUInt32LE(pos + 42),
+            name: cd.toString('utf8', pos + 46, pos + 46 + nameLength)
+        };
 
-            // 5. GitHub zip 包解压后会有一个 repo-name-branch 格式的子目录，需要移动到正确位置
-            const extractedItems = fs.readdirSync(tempExtractDir);
-            if (extractedItems.length === 1) {
-                const extractedDir = path.join(tempExtractDir, extractedItems[0]);
-                const stat = fs.statSync(extractedDir);
-                if (stat.isDirectory()) {
-                    // 移动解压后的目录到目标位置
-                    fs.renameSync(extractedDir, repoPath);
-                    console.log(`已移动: ${extractedDir} -> ${repoPath}`);
+        // zip64 扩展字段：只包含值为 0xFFFFFFFF 的字段，按固定顺序排列
+        let extraPos = pos + 46 + nameLength;
+        const extraEnd = extraPos + extraLength;
+        while (extraPos + 4 <= extraEnd) {
+            const id = cd.readUInt16LE(extraPos);
+            const length = cd.readUInt16LE(extraPos + 2);
+            if (id === 0x0001) {
+                let p = extraPos + 4;
+                for (const field of ['size', 'compressedSize', 'offset']) {
+                    if (entry[field] === 0xFFFFFFFF) {
+                        entry[field] = Number(cd.readBigUInt64LE(p));
+                        p += 8;
+                    }
                 }
-            } else {
-                // 如果不是单个目录，直接重命名临时目录
-                fs.renameSync(tempExtractDir, repoPath);
-            }
-
-            // 6. 清理临时目录和 zip 文件
-            if (fs.existsSync(tempExtractDir)) {
-                fs.rmSync(tempExtractDir, { recursive: true, force: true });
-            }
-            if (fs.existsSync(zipPath)) {
-                fs.unlinkSync(zipPath);
-                console.log(`已删除 zip 文件: ${zipPath}`);
-            }
-
-            return true;
-        } catch (error) {
-            lastError = error;
-            console.error(`下载或解压仓库失败 (第 ${attempt}/${maxRetries} 次): ${error.message}`);
-            
-            // 清理可能存在的临时文件
-            if (fs.existsSync(zipPath)) {
-                try { fs.unlinkSync(zipPath); } catch (e) { }
-            }
-            if (fs.existsSync(tempExtractDir)) {
-                try { fs.rmSync(tempExtractDir, { recursive: true, force: true }); } catch (e) { }
-            }
-            
-            // 如果还有重试机会，等待一段时间后再重试
-            if (attempt < maxRetries) {
-                const waitTime = attempt * 2000; // 递增等待时间：2秒、4秒
-                console.log(`等待 ${waitTime / 1000} 秒后重试...`);
-                await new Promise(resolve => setTimeout(resolve, waitTime));
             }
+            extraPos += 4 + length;
         }
+
+        entries.push(entry);
+        pos = extraEnd + commentLength;
     }
-    
-    console.error(`仓库 ${repo.name} 下载失败，已重试 ${maxRetries} 次: ${lastError?.message}`);
-    return false;
+    return entries;
 }
 
-async function runUpdate(forceUpdate = false) {
-    console.log('========================================');
-    console.log('开始更新仓库并发布包...');
-    console.log(`资源同步模式: ${forceUpdate ? '强制更新（覆盖已有文件）' : '增量同步（跳过已有文件）'}`);
-    console.log('========================================\n');
-
-    // 检查 verdaccio 是否运行
-    console.log('检查 Verdaccio 服务状态...');
-    try {
-        await waitForVerdaccio(10, 1000);
-        console.log('Verdaccio 服务已就绪');
-    } catch (error) {
-        console.error('Verdaccio 服务未运行，请先执行: node cli.js run');
-        return;
+/**
+ * 打开 zip 条目的数据，返回依次连接的流（原始数据和解压流），交给 pipeline 使用
+ * @param {fs.promises.FileHandle} handle - zip 文件句柄
+ * @param {Object} entry - readZipEntries 返回的条目
+ * @returns {Promise<Array<stream.Stream>>}
+ */
+async function openZipEntryStreams(handle, entry) {
+    const { Readable } = require('stream');
+
+    // 读取本地文件头，确定数据起始位置
+    const header = Buffer.alloc(30);
+    await handle.read(header, 0, 30, entry.offset);
+    if (header.readUInt32LE(0) !== 0x04034b50) {
+        throw new Error(`zip 条目头无效: ${entry.name}`);
     }
-
-    // 确保认证已设置
-    try {
-        ensureAuthenticated();
-        await createLocalNpmrc();
-        console.log('认证配置已就绪');
-    } catch (error) {
-        console.error('认证配置失败:', error.message);
-        return;
+    const dataStart = entry.offset + 30 + header.readUInt16LE(26) + header.readUInt16LE(28);
+
+    const source = entry.compressedSize > 0
+        ? handle.createReadStream({ autoClose: false, start: dataStart, end: dataStart + entry.compressedSize - 1 })
+        : Readable.from([]);
+    if (entry.method === 8) {
+        return [source, require('zlib').createInflateRaw()];
+    } else if (entry.method === 0) {
+        return [source];
     }
+    source.destroy();
+    throw new Error(`不支持的压缩方式 ${entry.method}: ${entry.name}`);
+}
 
-    // 创建 repos 目录
-    if (!fs.existsSync(reposDir)) {
-        fs.mkdirSync(reposDir, { recursive: true });
-        console.log(`创建目录: ${reposDir}`);
+/**
+ * 读取 zip 中单个条目的内容（用于读取清单等小文件，不解压整个 zip）
+ * @param {fs.promises.FileHandle} handle - zip 文件句柄
+ * @param {Object} entry - readZipEntries 返回的条目
+ * @returns {Promise<Buffer>}
+ */
+async function readZipEntryData(handle, entry) {
+    const { pipeline } = require('stream/promises');
+    const { Writable } = require('stream');
+
+    const chunks = [];
+    await pipeline(...await openZipEntryStreams(handle, entry), new Writable({
+        write(chunk, encoding, callback) {
+            chunks.push(chunk);
+            callback();
+        }
+    }));
+    const data = Buffer.concat(chunks);
+    if (data.length !== entry.size || crc32(data) !== entry.crc) {
+        throw new Error(`zip 条目校验失败: ${entry.name}`);
     }
+    return data;
+}
 
-    for (const repo of REPOS) {
-        const repoPath = path.join(reposDir, repo.name);
-
-        console.log('\n----------------------------------------');
-        console.log(`处理仓库: ${repo.name}`);
-        console.log('----------------------------------------');
+/**
+ * 解压 zip 文件（纯 JavaScript 实现，逐个条目流式解压）
+ * 拒绝解压到目标目录之外的条目（zip-slip，包括经由已解压的符号链接），在支持的系统上保留文件权限
+ * @param {string} zipPath - zip 文件路径
+ * @param {string} destDir - 目标目录
+ */
+async function extractZip(zipPath, destDir) {
+    const { pipeline } = require('stream/promises');
+    const { Transform } = require('stream');
 
-        // 1. 从 GitHub 下载 zip 并解压
-        const downloadSuccess = await downloadAndExtractRepo(repo, reposDir);
-        if (!downloadSuccess) {
-            console.error(`仓库 ${repo.name} 下载失败，跳过...`);
-            continue;
-        }
+    const fileName = path.basename(zipPath);
+    const root = path.resolve(destDir);
+    fs.mkdirSync(root, { recursive: true });
 
-        // 2. 如果配置了 cmd，执行命令
-        if (repo.cmd && repo.cmd.length > 0) {
-            for (const cmd of repo.cmd) {
-                if (!runCommand(cmd, repoPath, `执行: ${cmd}`)) {
-                    console.error(`命令执行失败: ${cmd}`);
-                }
+    const handle = await fs.promises.open(zipPath, 'r');
+    try {
+        const entries = await readZipEntries(handle);
+        const totalSize = entries.reduce((sum, entry) => sum + entry.size, 0);
+        let extractedSize = 0;
+        let lastDisplay = '';
+
+        const showProgress = () => {
+            const percent = totalSize > 0 ? Math.round((extractedSize / totalSize) * 100) : 100;
+            const displayText = `正在解压: ${fileName}... ${percent}% (${formatSize(extractedSize)}/${formatSize(totalSize)})`;
+            if (displayText !== lastDisplay) {
+                lastDisplay = displayText;
+                process.stdout.write(`\r${displayText}` + ' '.repeat(20));
             }
-        } else {
-            console.log('该仓库未配置命令，跳过命令执行步骤');
-        }
-
-        // 2.5 复制 public 字段中的文件到项目 public 目录
-        if (repo.public && repo.public.length > 0) {
-            console.log('\n>>> 复制文件到 public 目录...');
-            // 确保 public 目录存在
-            if (!fs.existsSync(publicDir)) {
-                fs.mkdirSync(publicDir, { recursive: true });
-                console.log(`创建目录: ${publicDir}`);
+        };
+        showProgress();
+
+        // 先检查所有条目，发现越界路径时不写入任何文件
+        for (const entry of entries) {
+            const name = entry.name.replace(/\\/g, '/');
+            entry.target = path.resolve(root, name);
+            if (path.isAbsolute(name) || /^[A-Za-z]:/.test(name) ||
+                (entry.target !== root && !entry.target.startsWith(root + path.sep))) {
+                throw new Error(`zip 条目路径越界，已拒绝: ${entry.name}`);
             }
-            for (const file of repo.public) {
-                const srcPath = path.join(repoPath, file);
-                const destPath = path.join(publicDir, file);
-                if (fs.existsSync(srcPath)) {
-                    try {
-                        fs.copyFileSync(srcPath, destPath);
-                        console.log(`已复制: ${file} -> ${destPath}`);
-                    } catch (e) {
-                        console.error(`复制文件失败: ${file} - ${e.message}`);
-                    }
-                } else {
-                    console.warn(`源文件不存在: ${srcPath}`);
-                }
+            if (entry.flags & 0x1) {
+                throw new Error(`不支持加密的 zip 条目: ${entry.name}`);
             }
         }
 
-        // 2.6 对于 aily-blockly-boards，复制各包的 board.webp 到 public/boards/<name>/board.webp
-        if (repo.name === 'aily-blockly-boards') {
-            console.log('\n>>> 复制开发板图片到 public/imgs/boards 目录...');
-            const boardsPublicDir = path.join(publicDir, 'imgs', 'boards');
-            if (!fs.existsSync(boardsPublicDir)) {
-                fs.mkdirSync(boardsPublicDir, { recursive: true });
-            }
-            const repoItems = fs.readdirSync(repoPath);
-            for (const item of repoItems) {
-                const itemPath = path.join(repoPath, item);
-                const stat = fs.statSync(itemPath);
-                if (stat.isDirectory() && !item.startsWith('.') && item !== 'node_modules') {
-                    const boardWebpSrc = path.join(itemPath, 'board.webp');
-                    if (fs.existsSync(boardWebpSrc)) {
-                        const destDir = path.join(boardsPublicDir, item);
-                        if (!fs.existsSync(destDir)) {
-                            fs.mkdirSync(destDir, { recursive: true });
-                        }
-                        const destPath = path.join(destDir, 'board.webp');
-                        try {
-                            fs.copyFileSync(boardWebpSrc, destPath);
-                            console.log(`已复制: ${item}/board.webp -> ${destPath}`);
-                        } catch (e) {
-                            console.error(`复制文件失败: ${item}/board.webp - ${e.message}`);
-                        }
-                    }
-                }
+        // 前面的条目可能已经解压出符号链接，按真实路径检查，防止经由链接写到目录之外
+        const realRoot = fs.realpathSync(root);
+        const isInside = (file) => file === realRoot || file.startsWith(realRoot + path.sep);
+        const ensureRealDir = (dir, entry) => {
+            let existing = dir;
+            while (!fs.existsSync(existing)) existing = path.dirname(existing);
+            if (!isInside(fs.realpathSync(existing))) {
+                throw new Error(`zip 条目经由符号链接指向目录之外，已拒绝: ${entry.name}`);
             }
-        }
-
-        // 3. 遍历一级文件夹，发布包
-        console.log('\n>>> 开始发布包到本地 verdaccio...');
-        const items = fs.readdirSync(repoPath);
+            fs.mkdirSync(dir, { recursive: true });
+            return fs.realpathSync(dir);
+        };
 
-        for (const item of items) {
-            const itemPath = path.join(repoPath, item);
-            const stat = fs.statSync(itemPath);
+        for (const entry of entries) {
+            const name = entry.name.replace(/\\/g, '/');
 
-            if (stat.isDirectory() && !item.startsWith('.') && item !== 'node_modules') {
-                const pkgJsonPath = path.join(itemPath, 'package.json');
+            // 由 Unix 系统创建的 zip，外部属性高 16 位是文件模式
+            const mode = entry.madeBy === 3 ? (entry.externalAttrs >>> 16) : 0;
+            const isSymlink = (mode & 0o170000) === 0o120000;
 
-                if (fs.existsSync(pkgJsonPath)) {
-                    console.log(`\n发现包: ${item}`);
+            if (name.endsWith('/')) {
+                ensureRealDir(entry.target, entry);
+                continue;
+            }
+            const realDir = ensureRealDir(path.dirname(entry.target), entry);
+            const target = path.join(realDir, path.basename(entry.target));
+            // 同名的已有符号链接先删除，避免写入时跟随链接
+            if (fs.lstatSync(target, { throwIfNoEntry: false })?.isSymbolicLink()) {
+                fs.rmSync(target, { force: true });
+            }
 
-                    // 读取 package.json 获取包名和版本
-                    try {
-                        const pkgJson = JSON.parse(fs.readFileSync(pkgJsonPath, 'utf8'));
-                        const pkgName = pkgJson.name;
-                        const pkgVersion = pkgJson.version;
-
-                        if (pkgName && pkgVersion) {
-                            // 检查包是否已存在
-                            let packageExists = false;
-                            try {
-                                execSync(`npm view ${pkgName}@${pkgVersion} --registry http://localhost:4873`, {
-                                    stdio: 'pipe',
-                                    shell: true
-                                });
-                                packageExists = true;
-                            } catch (e) {
-                                // 包不存在，继续发布
-                                packageExists = false;
-                            }
+            const streams = await openZipEntryStreams(handle, entry);
+            let crc = 0;
+            let written = 0;
+            const checker = new Transform({
+                transform(chunk, encoding, callback) {
+                    crc = crc32(chunk, crc);
+                    written += chunk.length;
+                    extractedSize += chunk.length;
+                    showProgress();
+                    callback(null, chunk);
+                }
+            });
 
-                            if (packageExists) {
-                                if (forceUpdate) {
-                                    // 强制更新模式：先移除再发布
-                                    runCommand(
-                                        `npm unpublish ${pkgName}@${pkgVersion} --registry http://localhost:4873 --userconfig "${npmrcPath}" --force`,
-                                        itemPath,
-                                        `移除 ${pkgName}@${pkgVersion}`
-                                    );
-                                    runCommand(`npm publish --registry http://localhost:4873 --userconfig "${npmrcPath}"`, itemPath, `发布 ${item}`);
-                                } else {
-                                    // 非强制更新模式：跳过已存在的包
-                                    console.log(`包 ${pkgName}@${pkgVersion} 已存在，跳过发布`);
-                                }
-                            } else {
-                                // 包不存在，直接发布
-                                runCommand(`npm publish --registry http://localhost:4873 --userconfig "${npmrcPath}"`, itemPath, `发布 ${item}`);
-                            }
-                        } else {
-                            // 无法获取包名或版本，直接尝试发布
-                            runCommand('npm publish --registry http://localhost:4873', itemPath, `发布 ${item}`);
-                        }
-                    } catch (e) {
-                        console.log(`读取 package.json 失败: ${e.message}，尝试直接发布`);
-                        runCommand(`npm publish --registry http://localhost:4873 --userconfig "${npmrcPath}"`, itemPath, `发布 ${item}`);
+            if (isSymlink) {
+                // 符号链接的内容是链接目标，只允许指向目标目录之内
+                const chunks = [];
+                const collector = new Transform({
+                    transform(chunk, encoding, callback) {
+                        chunks.push(chunk);
+                        callback();
                     }
+                });
+                await pipeline(...streams, checker, collector);
+                const linkTarget = Buffer.concat(chunks).toString('utf8');
+                const resolved = path.resolve(realDir, linkTarget);
+                if (!isInside(resolved)) {
+                    throw new Error(`zip 中的符号链接指向目录之外，已拒绝: ${entry.name} -> ${linkTarget}`);
+                }
+                if (fs.existsSync(target)) fs.rmSync(target, { force: true });
+                try {
+                    fs.symlinkSync(linkTarget, target);
+                } catch (e) {
+                    // Windows 上创建符号链接可能需要管理员权限，改为写入普通文件
+                    fs.writeFileSync(target, linkTarget);
+                }
+            } else {
+                await pipeline(...streams, checker, fs.createWriteStream(target));
+                if (mode & 0o777 && !isWindows) {
+                    fs.chmodSync(target, mode & 0o777);
                 }
             }
+
+            if (written !== entry.size || crc !== entry.crc) {
+                throw new Error(`zip 条目校验失败: ${entry.name}`);
+            }
         }
+
+        process.stdout.write(`\r解压完成: ${fileName} (${entries.length} 个条目, ${formatSize(totalSize)})` + ' '.repeat(30) + '\n');
+        return destDir;
+    } catch (error) {
+        process.stdout.write('\n');
+        throw new Error(`解压失败: ${error.message}`);
+    } finally {
+        await handle.close();
     }
+}
 
-    console.log('\n========================================');
-    console.log('仓库更新和包发布完成!');
-    console.log('========================================');
+/**
+ * 按指数退避间隔重试操作：2 秒、4 秒、8 秒……
+ * @param {string} description - 操作描述，用于日志
+ * @param {function(): Promise<*>} fn - 每次尝试执行的操作
+ * @param {number} maxRetries - 最大尝试次数
+ * @param {{log: function, error: function}} logger - 日志输出，默认为 console
+ * @returns {Promise<*>} fn 的返回值
+ * @throws {Error} 全部尝试失败
+ */
+async function withRetries(description, fn, maxRetries = 3, logger = console) {
+    let lastError = null;
+
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+        try {
+            if (attempt > 1) {
+                logger.log(`第 ${attempt}/${maxRetries} 次重试: ${description}`);
+            }
+            return await fn();
+        } catch (error) {
+            lastError = error;
+            logger.error(`${description} 失败 (第 ${attempt}/${maxRetries} 次): ${error.message}`);
 
-    // 执行资源同步（从 Cloudflare R2 同步资源到本地）
-    console.log('\n');
-    await runSync(forceUpdate);
+            // 如果还有重试机会，等待一段时间后再重试
+            if (attempt < maxRetries) {
+                const waitTime = 2000 * 2 ** (attempt - 1);
+                logger.log(`等待 ${waitTime / 1000} 秒后重试...`);
+                await new Promise(resolve => setTimeout(resolve, waitTime));
+            }
+        }
+    }
 
-    console.log('\n========================================');
-    console.log('update done!');
-    console.log('========================================');
+    throw new Error(`${description} 失败，已重试 ${maxRetries} 次: ${lastError?.message}`);
 }
 
 /**
- * 发起 HTTP/HTTPS GET 请求并返回响应内容
+ * 解压仓库 zip 到指定目录（已存在时会被替换）
+ * GitHub / Gitee 的 zip 解压后只有一个 repo-name-branch 格式的子目录，会把该子目录作为仓库目录
+ * @param {string} zipPath - zip 文件路径
+ * @param {string} repoPath - 目标目录
  */
-function httpGet(url, maxRedirects = 5) {
-    return new Promise((resolve, reject) => {
-        if (maxRedirects <= 0) {
-            reject(new Error('重定向次数过多'));
-            return;
-        }
+async function extractRepoZip(zipPath, repoPath) {
+    const tempExtractDir = `${repoPath}-temp`;
+
+    try {
+        // 删除旧的仓库目录和上次残留的临时解压目录
+        if (fs.existsSync(repoPath)) {
+            console.log(`删除旧目录: ${repoPath}`);
+            fs.rmSync(repoPath, { recursive: true, force: true });
+        }
+        fs.rmSync(tempExtractDir, { recursive: true, force: true });
+
+        await extractZip(zipPath, tempExtractDir);
+
+        const extractedItems = fs.readdirSync(tempExtractDir);
+        const extractedDir = extractedItems.length === 1 ? path.join(tempExtractDir, extractedItems[0]) : null;
+        if (extractedDir && fs.statSync(extractedDir).isDirectory()) {
+            // 移动解压后的目录到目标位置
+            fs.renameSync(extractedDir, repoPath);
+            console.log(`已移动: ${extractedDir} -> ${repoPath}`);
+        } else {
+            // 如果不是单个目录，直接重命名临时目录
+            fs.renameSync(tempExtractDir, repoPath);
+        }
+    } finally {
+        fs.rmSync(tempExtractDir, { recursive: true, force: true });
+    }
+}
+
+/**
+ * 下载仓库 zip 并解压到指定目录，失败时按递增间隔重试
+ * @param {string} url - zip 下载地址
+ * @param {string} repoPath - 解压目标目录（已存在时会被替换）
+ * @param {number} maxRetries - 最大重试次数
+ * @throws {Error} 重试后仍然失败
+ */
+async function downloadAndExtractRepo(url, repoPath, maxRetries = 3) {
+    const zipPath = `${repoPath}.zip`;
+
+    await withRetries(`下载或解压 ${url}`, async () => {
+        try {
+            await downloadFile(url, zipPath);
+            await extractRepoZip(zipPath, repoPath);
+        } finally {
+            if (fs.existsSync(zipPath)) {
+                fs.unlinkSync(zipPath);
+                console.log(`已删除 zip 文件: ${zipPath}`);
+            }
+        }
+    }, maxRetries);
+}
+
+/**
+ * 执行 git 命令并返回输出
+ * @param {string[]} gitArgs - git 参数
+ * @param {string} cwd - 工作目录
+ */
+function git(gitArgs, cwd) {
+    return execFileSync('git', gitArgs, {
+        cwd,
+        encoding: 'utf8',
+        stdio: ['ignore', 'pipe', 'pipe'],
+        windowsHide: true
+    }).trim();
+}
+
+let gitAvailable = null;
+
+/**
+ * 检查本机是否安装了 git
+ */
+function isGitAvailable() {
+    if (gitAvailable === null) {
+        try {
+            git(['--version'], __dirname);
+            gitAvailable = true;
+        } catch (e) {
+            gitAvailable = false;
+        }
+    }
+    return gitAvailable;
+}
+
+/**
+ * 读取更新状态（各仓库最近一次成功发布的 git 版本）
+ */
+function readUpdateState() {
+    try {
+        return JSON.parse(fs.readFileSync(updateStatePath, 'utf8'));
+    } catch (e) {
+        return { repos: {} };
+    }
+}
+
+/**
+ * 记录仓库最近一次成功发布的 git 版本
+ */
+function saveRepoRevision(repoName, revision) {
+    const state = readUpdateState();
+    state.repos = state.repos || {};
+    state.repos[repoName] = { revision, updatedAt: new Date().toISOString() };
+    fs.writeFileSync(updateStatePath, JSON.stringify(state, null, 2), 'utf8');
+}
+
+/**
+ * 记录从离线介质的预构建包（packages/<仓库名>/*.tgz）发布的包名
+ * 这些包不在 repos/ 的源码中，prune 据此不把它们当作孤立的包
+ */
+function saveMediaPackages(repoName, names) {
+    const state = readUpdateState();
+    state.mediaPackages = state.mediaPackages || {};
+    state.mediaPackages[repoName] = [...new Set([...(state.mediaPackages[repoName] || []), ...names])].sort();
+    fs.writeFileSync(updateStatePath, JSON.stringify(state, null, 2), 'utf8');
+}
+
+/**
+ * 读取 update 锁，持有锁的进程已退出时返回 null（过期锁）
+ * @returns {{pid: number, command: string, startedAt: string}|null}
+ */
+function readUpdateLock() {
+    try {
+        const holder = JSON.parse(fs.readFileSync(updateLockPath, 'utf8'));
+        return holder.pid && isProcessRunning(holder.pid) ? holder : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * 获取 update 锁，防止手动 update、定时 update 和 rollback 同时修改 repos/
+ * 进程退出时自动释放；过期锁会被直接接管
+ * @param {string} command - 持有锁的命令，用于提示
+ * @returns {Object|null} 获取成功返回 null，否则返回当前持有者
+ */
+function acquireUpdateLock(command) {
+    const content = JSON.stringify({ pid: process.pid, command, startedAt: new Date().toISOString() });
+    for (let attempt = 0; attempt < 2; attempt++) {
+        try {
+            fs.writeFileSync(updateLockPath, content, { flag: 'wx' });
+            process.on('exit', releaseUpdateLock);
+            return null;
+        } catch (error) {
+            if (error.code !== 'EEXIST') throw error;
+            const holder = readUpdateLock();
+            if (holder) return holder;
+            fs.rmSync(updateLockPath, { force: true });
+        }
+    }
+    return readUpdateLock() || { pid: null, command: 'unknown' };
+}
+
+/**
+ * 释放当前进程持有的 update 锁
+ */
+function releaseUpdateLock() {
+    try {
+        if (JSON.parse(fs.readFileSync(updateLockPath, 'utf8')).pid === process.pid) {
+            fs.unlinkSync(updateLockPath);
+        }
+    } catch (e) {
+        // 锁文件已不存在
+    }
+}
+
+/**
+ * 记录最近一次 update 的结果，供 status 和定时更新使用
+ * @param {Object} report - update 报告
+ * @param {string} trigger - manual（手动）或 schedule（定时）
+ * @param {string} reportPath - 报告文件路径
+ */
+function saveLastUpdateRun(report, trigger, reportPath) {
+    const state = readUpdateState();
+    state.lastRun = {
+        status: report.status,
+        trigger,
+        startedAt: report.startedAt,
+        finishedAt: report.finishedAt,
+        report: reportPath
+    };
+    fs.mkdirSync(reposDir, { recursive: true });
+    fs.writeFileSync(updateStatePath, JSON.stringify(state, null, 2), 'utf8');
+}
+
+/**
+ * 通过 git 克隆或增量更新仓库
+ * 首次运行时克隆；之后执行 fetch，分支做 fast-forward，标签和提交直接检出
+ * @param {Object} repo - 仓库配置
+ * @param {string} repoPath - git 工作区目录
+ * @param {boolean} force - 分支无法 fast-forward 时是否强制重置到远程版本
+ * @returns {string} 更新后的提交 ID
+ */
+function updateGitRepo(repo, repoPath, force) {
+    if (!fs.existsSync(path.join(repoPath, '.git'))) {
+        if (fs.existsSync(repoPath)) {
+            // 之前通过 zip 下载的目录，替换为 git 工作区
+            console.log(`删除旧目录: ${repoPath}`);
+            fs.rmSync(repoPath, { recursive: true, force: true });
+        }
+        console.log(`正在克隆: ${repo.url}`);
+        execFileSync('git', ['clone', repo.url, repoPath], { stdio: 'inherit', windowsHide: true });
+    } else {
+        console.log(`正在获取更新: ${repo.url}`);
+        git(['remote', 'set-url', 'origin', repo.url], repoPath);
+        // 丢弃构建命令对已跟踪文件的修改（如重新生成的 json），避免阻止更新
+        git(['reset', '--hard', '--quiet'], repoPath);
+        execFileSync('git', ['fetch', '--tags', '--prune', '--force', 'origin'], {
+            cwd: repoPath,
+            stdio: 'inherit',
+            windowsHide: true
+        });
+    }
+
+    let ref = repo.ref;
+    if (!ref) {
+        // 未指定时使用远程默认分支
+        try {
+            ref = git(['symbolic-ref', '--short', 'refs/remotes/origin/HEAD'], repoPath);
+        } catch (e) {
+            // 从本地工作区复制的仓库没有记录远程默认分支，向远程查询
+            git(['remote', 'set-head', 'origin', '--auto'], repoPath);
+            ref = git(['symbolic-ref', '--short', 'refs/remotes/origin/HEAD'], repoPath);
+        }
+        ref = ref.replace(/^origin\//, '');
+    }
+
+    const isBranch = (() => {
+        try {
+            git(['rev-parse', '--verify', '--quiet', `refs/remotes/origin/${ref}`], repoPath);
+            return true;
+        } catch (e) {
+            return false;
+        }
+    })();
+
+    if (isBranch) {
+        git(['checkout', '--quiet', '-B', ref, 'HEAD'], repoPath);
+        try {
+            git(['merge', '--ff-only', '--quiet', `origin/${ref}`], repoPath);
+        } catch (e) {
+            if (!force) {
+                throw new Error(`分支 ${ref} 无法 fast-forward 到 origin/${ref}，可使用 --force 重置到远程版本`);
+            }
+            console.log(`分支 ${ref} 无法 fast-forward，重置到 origin/${ref}`);
+            git(['reset', '--hard', '--quiet', `origin/${ref}`], repoPath);
+        }
+        git(['branch', '--quiet', `--set-upstream-to=origin/${ref}`], repoPath);
+    } else {
+        // 标签或提交
+        git(['checkout', '--quiet', '--detach', `${ref}^{commit}`], repoPath);
+    }
+
+    const revision = git(['rev-parse', 'HEAD'], repoPath);
+    console.log(`当前版本: ${ref} (${revision.slice(0, 12)})`);
+    return revision;
+}
+
+/**
+ * 获取两个版本之间内容有变化的一级目录
+ * @returns {Set<string>|null} 返回 null 表示无法比较（需要全部处理）
+ */
+function getChangedDirs(repoPath, fromRevision, toRevision) {
+    if (!fromRevision) return null;
+    try {
+        git(['cat-file', '-e', `${fromRevision}^{commit}`], repoPath);
+        const output = git(['diff', '--name-only', fromRevision, toRevision], repoPath);
+        const dirs = new Set();
+        for (const file of output.split('\n').filter(Boolean)) {
+            const index = file.indexOf('/');
+            // 根目录下的文件变化（如 genjson.js）记为 ''，只影响构建步骤
+            dirs.add(index === -1 ? '' : file.slice(0, index));
+        }
+        return dirs;
+    } catch (e) {
+        // 记录的版本已不存在（如历史被改写），全部处理
+        return null;
+    }
+}
+
+/**
+ * 获取仓库按顺序尝试的源码来源
+ * 配置了 sources 时按配置顺序；否则由 github（zip）和 url（git）组成，source 指定的方式在前
+ * @param {Object} repo - 仓库配置
+ * @param {string} [preferred] - 优先使用的方式（--source），同类来源排到前面
+ * @returns {Array<{type: string, url?: string, path?: string, ref?: string}>}
+ */
+function getRepoSources(repo, preferred) {
+    let sources = repo.sources;
+    if (!sources) {
+        sources = [];
+        if (repo.github) sources.push({ type: 'zip', url: repo.github });
+        if (repo.url) sources.push({ type: 'git', url: repo.url, ref: repo.ref });
+        preferred = preferred || repo.source || serviceConfig.source;
+    }
+    if (!preferred) return sources;
+    return [...sources.filter(source => source.type === preferred), ...sources.filter(source => source.type !== preferred)];
+}
+
+/**
+ * 从单个来源获取仓库源码到指定目录
+ * 网络来源（zip 下载地址、git）失败时按递增间隔重试，本地来源只尝试一次
+ * @param {Object} repo - 仓库配置
+ * @param {Object} source - 来源，见 getRepoSources
+ * @param {string} repoPath - 目标目录
+ * @param {Object} options - update 选项
+ * @returns {Promise<string|null>} git 来源返回提交 ID
+ * @throws {Error} 获取失败
+ */
+async function fetchFromSource(repo, source, repoPath, options) {
+    if (source.type === 'git') {
+        if (!isGitAvailable()) {
+            throw new Error('未检测到 git');
+        }
+        const currentPath = path.join(reposDir, repo.name);
+        return withRetries(`git 获取 ${source.url}`, async () => {
+            fs.rmSync(repoPath, { recursive: true, force: true });
+            try {
+                if (fs.existsSync(path.join(currentPath, '.git'))) {
+                    // 本地克隆当前工作区（对象文件使用硬链接），只需从远程获取增量
+                    execFileSync('git', ['clone', '--quiet', currentPath, repoPath], { stdio: 'inherit', windowsHide: true });
+                }
+                return updateGitRepo({ ...repo, url: source.url, ref: source.ref || repo.ref }, repoPath, options.force);
+            } catch (error) {
+                throw new Error(error.stderr ? String(error.stderr).trim() : error.message);
+            }
+        });
+    }
+
+    if (source.type === 'zip' && source.url) {
+        await downloadAndExtractRepo(source.url, repoPath);
+        return null;
+    }
+
+    if (!fs.existsSync(source.path)) {
+        throw new Error(`本地来源不存在: ${source.path}`);
+    }
+    if (source.type === 'zip') {
+        console.log(`正在解压本地 zip: ${source.path}`);
+        await extractRepoZip(source.path, repoPath);
+    } else {
+        if (!fs.statSync(source.path).isDirectory()) {
+            throw new Error(`不是目录: ${source.path}`);
+        }
+        console.log(`正在复制本地目录: ${source.path}`);
+        fs.rmSync(repoPath, { recursive: true, force: true });
+        // 不复制 .git，repos/<name> 只保存源码
+        fs.cpSync(source.path, repoPath, { recursive: true, filter: src => path.basename(src) !== '.git' });
+    }
+    return null;
+}
+
+/**
+ * 获取仓库源码到指定目录（暂存目录），不修改 repos/<name>
+ * 按 getRepoSources 的顺序依次尝试各个来源，直到成功
+ * @param {Object} repo - 仓库配置
+ * @param {string} repoPath - 目标目录
+ * @param {Object} options - update 选项
+ * @returns {Promise<{mode: string, location: string, revision: string|null, attempts: Array<Object>}>}
+ * @throws {Error} 所有来源都失败，error.attempts 为各来源的尝试结果
+ */
+async function fetchRepoSource(repo, repoPath, options) {
+    const sources = getRepoSources(repo, options.source);
+    const attempts = [];
+
+    for (const [index, source] of sources.entries()) {
+        const location = source.url || source.path;
+        console.log(`\n>>> 源码来源 ${index + 1}/${sources.length}: ${source.type} ${location}`);
+        const startTime = Date.now();
+        try {
+            const revision = await fetchFromSource(repo, source, repoPath, options);
+            attempts.push({ type: source.type, location, ok: true, durationMs: Date.now() - startTime, error: null });
+            if (index > 0) {
+                console.log(`已使用备用来源: ${location}`);
+            }
+            return { mode: source.type, location, revision, attempts };
+        } catch (error) {
+            attempts.push({ type: source.type, location, ok: false, durationMs: Date.now() - startTime, error: error.message });
+            console.error(`源码来源失败: ${error.message}`);
+            fs.rmSync(repoPath, { recursive: true, force: true });
+            if (index < sources.length - 1) {
+                console.warn('尝试下一个来源');
+            }
+        }
+    }
+
+    const error = new Error(`仓库 ${repo.name} 的 ${sources.length} 个源码来源均获取失败`);
+    error.attempts = attempts;
+    throw error;
+}
+
+/**
+ * 打开 update --from 指定的离线介质，zip 先解压到 repos/.media
+ * 介质中包含 repos/（仓库源码）、packages/（预构建的包）和 resources/（资源目录），可以放在一个顶层目录中
+ * listOnly 时（--dry-run）zip 不解压，只读取中央目录，返回的 zip 为 { path, prefix, entries }，entries 以相对介质根目录的路径为键
+ * @param {string} from - 目录或 zip 文件
+ * @param {boolean} [listOnly=false] - 只列出 zip 中的内容
+ * @returns {Promise<{root: string, zip: Object|null, cleanup: function(): void}>}
+ */
+async function openUpdateMedia(from, listOnly = false) {
+    // 介质是否存在在使用时才检查，定时 update 的 --from 指向的 U 盘可能暂时未插入
+    if (!fs.existsSync(from)) {
+        throw new Error(`文件或目录不存在: ${from}`);
+    }
+    const layout = ['repos', 'packages', 'resources'];
+
+    if (listOnly && !fs.statSync(from).isDirectory()) {
+        const handle = await fs.promises.open(from, 'r');
+        let entries;
+        try {
+            entries = await readZipEntries(handle);
+        } finally {
+            await handle.close();
+        }
+        const names = entries.map(entry => entry.name.replace(/\\/g, '/'));
+        const hasLayout = prefix => names.some(name => layout.some(dir => name.startsWith(`${prefix}${dir}/`)));
+        const topDirs = [...new Set(names.map(name => name.split('/')[0]))];
+        let prefix = '';
+        if (!hasLayout('')) {
+            if (topDirs.length !== 1 || !hasLayout(`${topDirs[0]}/`)) {
+                throw new Error(`离线介质中没有 repos/、packages/ 或 resources/ 目录: ${from}`);
+            }
+            prefix = `${topDirs[0]}/`;
+        }
+        const byName = new Map();
+        entries.forEach((entry, i) => {
+            if (names[i].startsWith(prefix) && !names[i].endsWith('/')) byName.set(names[i].slice(prefix.length), entry);
+        });
+        return { root: path.join(from, prefix), zip: { path: from, prefix, entries: byName }, cleanup: () => { } };
+    }
+
+    let root = from;
+    let cleanup = () => { };
+    if (!fs.statSync(from).isDirectory()) {
+        fs.rmSync(mediaDir, { recursive: true, force: true });
+        console.log(`正在解压离线介质: ${from}`);
+        cleanup = () => fs.rmSync(mediaDir, { recursive: true, force: true });
+        try {
+            await extractZip(from, mediaDir);
+        } catch (error) {
+            cleanup();
+            throw error;
+        }
+        root = mediaDir;
+    }
+
+    const hasLayout = dir => layout.some(name => fs.existsSync(path.join(dir, name)));
+    if (!hasLayout(root)) {
+        const dirs = fs.readdirSync(root, { withFileTypes: true }).filter(item => item.isDirectory());
+        if (dirs.length === 1 && hasLayout(path.join(root, dirs[0].name))) {
+            root = path.join(root, dirs[0].name);
+        } else {
+            cleanup();
+            throw new Error(`离线介质中没有 repos/、packages/ 或 resources/ 目录: ${from}`);
+        }
+    }
+    return { root, zip: null, cleanup };
+}
+
+/**
+ * 离线介质中某个仓库的内容
+ * @param {Object} media - openUpdateMedia 的结果
+ * @param {Object} repo - 仓库配置
+ * @returns {{source: Object|null, tarballs: string[]}} source 为 repos/<仓库名>.zip 或 repos/<仓库名>/，tarballs 为 packages/<仓库名>/*.tgz
+ */
+function getMediaRepo(media, repo) {
+    const mediaRoot = media.root;
+    const zipPath = path.join(mediaRoot, 'repos', `${repo.name}.zip`);
+    const dirPath = path.join(mediaRoot, 'repos', repo.name);
+    if (media.zip) {
+        // 未解压的 zip 介质（--dry-run），路径只用于显示
+        const names = [...media.zip.entries.keys()];
+        let source = null;
+        if (media.zip.entries.has(`repos/${repo.name}.zip`)) {
+            source = { type: 'zip', path: zipPath };
+        } else if (names.some(name => name.startsWith(`repos/${repo.name}/`))) {
+            source = { type: 'dir', path: dirPath };
+        }
+        const tarballs = names.filter(name => path.posix.dirname(name) === `packages/${repo.name}` && name.endsWith('.tgz'))
+            .sort().map(name => path.join(mediaRoot, name));
+        return { source, tarballs };
+    }
+    let source = null;
+    if (fs.existsSync(zipPath)) {
+        source = { type: 'zip', path: zipPath };
+    } else if (fs.existsSync(dirPath) && fs.statSync(dirPath).isDirectory()) {
+        source = { type: 'dir', path: dirPath };
+    }
+
+    const packagesPath = path.join(mediaRoot, 'packages', repo.name);
+    const tarballs = fs.existsSync(packagesPath)
+        ? fs.readdirSync(packagesPath).filter(name => name.endsWith('.tgz')).sort().map(name => path.join(packagesPath, name))
+        : [];
+    return { source, tarballs };
+}
+
+/**
+ * 离线介质中是否有 resources/ 目录
+ * @param {Object} media - openUpdateMedia 的结果
+ * @returns {boolean}
+ */
+function hasMediaResources(media) {
+    return media.zip
+        ? [...media.zip.entries.keys()].some(name => name.startsWith('resources/'))
+        : fs.existsSync(path.join(media.root, 'resources'));
+}
+
+/**
+ * 列出未解压的 zip 介质（--dry-run）中的资源文件，有清单时只读取清单这一个条目
+ * @param {Object} media - openUpdateMedia 的结果
+ * @returns {Promise<Array<Object>>} 与 readLocalManifest 相同
+ */
+async function listZipMediaResources(media) {
+    const manifestEntry = media.zip.entries.get(`resources/${CLOUDFLARE_R2_CONFIG.manifestFile}`);
+    if (manifestEntry) {
+        const handle = await fs.promises.open(media.zip.path, 'r');
+        try {
+            return parseManifest(JSON.parse((await readZipEntryData(handle, manifestEntry)).toString('utf8')));
+        } finally {
+            await handle.close();
+        }
+    }
+    const files = [];
+    for (const [name, entry] of media.zip.entries) {
+        if (name.startsWith('resources/') && !name.endsWith('.part')) {
+            files.push({ path: name.slice('resources/'.length), size: entry.size, sha256: null });
+        }
+    }
+    return files;
+}
+
+/**
+ * 读取 npm 包 tgz 中的 package.json
+ * @param {string} tarball - tgz 文件
+ * @returns {Promise<Object>}
+ */
+async function readTarballPackage(tarball) {
+    for await (const entry of readTarEntries(tarball)) {
+        if (!/^[^/]+\/package\.json$/.test(entry.name)) continue;
+        const chunks = [];
+        for await (const chunk of entry.data()) chunks.push(chunk);
+        return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+    }
+    throw new Error(`包中没有 package.json: ${path.basename(tarball)}`);
+}
+
+/**
+ * 收集要发布的包：仓库中的包目录，以及离线介质中预构建的包（优先于同名的包目录）
+ * @param {string|null} repoPath - 仓库目录，null 表示只发布预构建的包
+ * @param {function(string): boolean} packageFilter - 包名过滤函数
+ * @param {Set<string>|null} changedDirs - 有变化的目录，null 表示全部
+ * @param {Object|null} mediaRepo - getMediaRepo 的结果
+ * @returns {Promise<Array<Object>>} 包目录为 { item, itemPath }，预构建的包另有 tarball 和 pkgJson
+ */
+async function collectPublishTasks(repoPath, packageFilter, changedDirs, mediaRepo) {
+    const tasks = repoPath ? collectPackageDirs(repoPath, packageFilter, changedDirs) : [];
+    if (!mediaRepo || mediaRepo.tarballs.length === 0) return tasks;
+
+    const tarballTasks = [];
+    for (const tarball of mediaRepo.tarballs) {
+        let pkgJson = null;
+        try {
+            pkgJson = await readTarballPackage(tarball);
+        } catch (e) {
+            // 无法读取时仍尝试发布，由 npm 报告错误
+        }
+        if (pkgJson && !packageFilter(pkgJson.name)) continue;
+        tarballTasks.push({ item: path.basename(tarball), itemPath: tarball, tarball, pkgJson });
+    }
+    const names = new Set(tarballTasks.map(task => task.pkgJson && task.pkgJson.name).filter(Boolean));
+    return [...tasks.filter(({ itemPath }) => !names.has(readPackageName(itemPath))), ...tarballTasks];
+}
+
+/**
+ * 列出需要复制到 public 目录的文件：仓库配置的 public 文件和开发板图片
+ * @returns {Array<{src: string, file: string}>} file 为相对 public 目录的路径
+ */
+function listPublicFiles(repo, repoPath, packageFilter) {
+    const files = (repo.public || []).map(file => ({ src: path.join(repoPath, file), file }));
+    // aily-blockly-boards 各包的 board.webp 复制到 public/imgs/boards/<name>/board.webp
+    if (repo.name === 'aily-blockly-boards') {
+        for (const { item, src } of listBoardImages(repoPath, packageFilter)) {
+            files.push({ src, file: path.join('imgs', 'boards', item, 'board.webp') });
+        }
+    }
+    return files;
+}
+
+/**
+ * 生成快照 ID（UTC 时间，按字符串排序即按时间排序）
+ */
+function createSnapshotId() {
+    return new Date().toISOString().replace(/[:.]/g, '-');
+}
+
+/**
+ * 列出仓库的历史快照，最新的在前
+ * @returns {Array<Object>} snapshot.json 的内容，附加快照目录 dir
+ */
+function listSnapshots(repoName) {
+    const repoSnapshotsDir = path.join(snapshotsDir, repoName);
+    if (!fs.existsSync(repoSnapshotsDir)) return [];
+    return fs.readdirSync(repoSnapshotsDir).sort().reverse().map((id) => {
+        const dir = path.join(repoSnapshotsDir, id);
+        try {
+            return { ...JSON.parse(fs.readFileSync(path.join(dir, 'snapshot.json'), 'utf8')), dir };
+        } catch (e) {
+            // 没有 snapshot.json 的是未完成的快照
+            return null;
+        }
+    }).filter(Boolean);
+}
+
+/**
+ * 只保留最近的 snapshots.keep 个快照
+ */
+function pruneSnapshots(repoName) {
+    const repoSnapshotsDir = path.join(snapshotsDir, repoName);
+    if (!fs.existsSync(repoSnapshotsDir)) return;
+    const ids = fs.readdirSync(repoSnapshotsDir).sort().reverse();
+    for (const id of ids.slice(serviceConfig.snapshots.keep)) {
+        fs.rmSync(path.join(repoSnapshotsDir, id), { recursive: true, force: true });
+    }
+}
+
+/**
+ * 按备份记录恢复 public 目录中的文件，原本不存在的文件会被删除
+ * @param {string} backupDir - 备份目录
+ * @param {Array<{file: string, existed: boolean}>} backups - 备份记录
+ */
+function restorePublicFiles(backupDir, backups) {
+    for (const { file, existed } of backups) {
+        const destPath = path.join(publicDir, file);
+        if (existed) {
+            fs.mkdirSync(path.dirname(destPath), { recursive: true });
+            fs.copyFileSync(path.join(backupDir, file), destPath);
+        } else {
+            fs.rmSync(destPath, { force: true });
+        }
+    }
+}
+
+/**
+ * 将暂存目录中构建好的新版本切换为当前版本
+ * 切换前把当前的 repos/<name> 和将被覆盖的 public 文件保存为快照，任一步失败时恢复原状
+ * @param {Object} repo - 仓库配置
+ * @param {string} stagingPath - 暂存目录
+ * @param {Array<{src: string, file: string}>} publicFiles - 要复制到 public 目录的文件
+ * @param {string} snapshotId - 快照 ID
+ * @throws {Error} 切换失败（已恢复原状）
+ */
+function commitRepoUpdate(repo, stagingPath, publicFiles, snapshotId) {
+    const repoPath = path.join(reposDir, repo.name);
+    const snapshotDir = path.join(snapshotsDir, repo.name, snapshotId);
+    const backupDir = path.join(snapshotDir, 'public');
+    const sourceBackup = path.join(snapshotDir, 'source');
+    const backups = [];
+    fs.mkdirSync(snapshotDir, { recursive: true });
+
+    // 记录当前版本，便于在 rollback --list 中识别
+    let revision = null;
+    if (fs.existsSync(path.join(repoPath, '.git'))) {
+        try {
+            revision = git(['rev-parse', 'HEAD'], repoPath);
+        } catch (e) { }
+    }
+
+    try {
+        for (const { src, file } of publicFiles) {
+            const destPath = path.join(publicDir, file);
+            const existed = fs.existsSync(destPath);
+            if (existed) {
+                fs.mkdirSync(path.dirname(path.join(backupDir, file)), { recursive: true });
+                fs.copyFileSync(destPath, path.join(backupDir, file));
+            }
+            backups.push({ file, existed });
+            fs.mkdirSync(path.dirname(destPath), { recursive: true });
+            fs.copyFileSync(src, destPath);
+            console.log(`已复制: ${file} -> ${destPath}`);
+        }
+
+        if (fs.existsSync(repoPath)) {
+            fs.renameSync(repoPath, sourceBackup);
+        }
+        try {
+            fs.renameSync(stagingPath, repoPath);
+        } catch (error) {
+            if (fs.existsSync(sourceBackup)) fs.renameSync(sourceBackup, repoPath);
+            throw error;
+        }
+    } catch (error) {
+        restorePublicFiles(backupDir, backups);
+        fs.rmSync(snapshotDir, { recursive: true, force: true });
+        throw new Error(`切换到新版本失败，已恢复原状: ${error.message}`);
+    }
+
+    const snapshot = {
+        id: snapshotId,
+        repo: repo.name,
+        createdAt: new Date().toISOString(),
+        revision,
+        hasSource: fs.existsSync(sourceBackup),
+        publicFiles: backups
+    };
+    fs.writeFileSync(path.join(snapshotDir, 'snapshot.json'), JSON.stringify(snapshot, null, 2), 'utf8');
+    pruneSnapshots(repo.name);
+}
+
+/**
+ * 从快照恢复 repos/<name> 和对应的 public 文件，恢复后删除该快照
+ * @param {string} repoName - 仓库名
+ * @param {Object} snapshot - listSnapshots 返回的快照
+ */
+function restoreSnapshot(repoName, snapshot) {
+    const repoPath = path.join(reposDir, repoName);
+    const discardPath = path.join(stagingDir, `${repoName}-rollback`);
+    fs.rmSync(discardPath, { recursive: true, force: true });
+    fs.mkdirSync(stagingDir, { recursive: true });
+
+    if (fs.existsSync(repoPath)) {
+        fs.renameSync(repoPath, discardPath);
+    }
+    if (snapshot.hasSource) {
+        fs.renameSync(path.join(snapshot.dir, 'source'), repoPath);
+    }
+    restorePublicFiles(path.join(snapshot.dir, 'public'), snapshot.publicFiles);
+
+    fs.rmSync(discardPath, { recursive: true, force: true });
+    fs.rmSync(snapshot.dir, { recursive: true, force: true });
+}
+
+/**
+ * 解析 --only / --skip 的值
+ * 格式: <仓库名>[:<包名通配符>],...  例如 aily-blockly-libraries:@aily/lib-*
+ * @returns {Array<{repo: string, glob: string|null, pattern: RegExp|null}>}
+ */
+function parseRepoFilters(value) {
+    if (!value) return [];
+    return value.split(',').map(item => item.trim()).filter(Boolean).map(item => {
+        const index = item.indexOf(':');
+        if (index === -1) {
+            return { repo: item, glob: null, pattern: null };
+        }
+        const glob = item.slice(index + 1);
+        return { repo: item.slice(0, index), glob, pattern: globToRegExp(glob) };
+    });
+}
+
+/**
+ * 从命令行参数解析 update 选项
+ * @param {string[]} [argv] - update 参数，默认为命令行参数
+ * @param {Object} [config] - 服务配置，默认为已加载的配置（加载配置时校验 autoUpdate.args 需要传入）
+ * @returns {Object} update 选项
+ * @throws {Error} 参数无效
+ */
+function parseUpdateOptions(argv = args, config = serviceConfig) {
+    const getOption = (name) => {
+        const index = argv.indexOf(name);
+        return index !== -1 && index + 1 < argv.length ? argv[index + 1] : undefined;
+    };
+    const publishOnly = argv.includes('--publish-only');
+    const options = {
+        force: argv.includes('--force') || argv.includes('-f'),
+        // 覆盖配置文件中的 source
+        source: getOption('--source'),
+        only: parseRepoFilters(getOption('--only')),
+        skip: parseRepoFilters(getOption('--skip')),
+        // 各步骤开关，--publish-only 只执行发布步骤（使用 repos/ 下已有的源码）
+        download: !publishOnly && !argv.includes('--no-download'),
+        build: !publishOnly && !argv.includes('--no-build'),
+        copy: !publishOnly && !argv.includes('--no-copy'),
+        publish: !argv.includes('--no-publish'),
+        sync: !publishOnly && !argv.includes('--no-sync'),
+        // 移除已存在的版本后重新发布（会使客户端缓存的旧包失效）
+        republish: argv.includes('--republish'),
+        // 允许发布低于 latest 的版本
+        allowDowngrade: argv.includes('--allow-downgrade'),
+        dryRun: argv.includes('--dry-run'),
+        json: argv.includes('--json'),
+        // update 报告路径，--html 时同时生成同名 .html
+        report: path.resolve(getOption('--report') || defaultReportPath),
+        html: argv.includes('--html'),
+        // 资源同步时删除不在清单中的文件
+        mirror: argv.includes('--mirror'),
+        // 离线介质（目录或 zip），指定时源码、包和资源都从介质读取，不访问网络
+        from: getOption('--from') ? path.resolve(getOption('--from')) : null,
+        concurrency: config.publish.concurrency,
+        // 资源同步的并发数和带宽上限（字节/秒，0 表示不限速）
+        syncConcurrency: config.sync.concurrency,
+        bandwidthLimit: config.sync.bandwidthLimit ? parseBandwidth(config.sync.bandwidthLimit) : 0
+    };
+
+    for (const [name, key] of [['--concurrency', 'concurrency'], ['--sync-concurrency', 'syncConcurrency']]) {
+        const value = getOption(name);
+        if (value === undefined) continue;
+        options[key] = parseInt(value, 10);
+        if (!Number.isInteger(options[key]) || options[key] < 1 || String(options[key]) !== value) {
+            throw new Error(`${name} 必须是正整数: ${value}`);
+        }
+    }
+
+    const bandwidth = getOption('--bandwidth');
+    if (bandwidth !== undefined) {
+        try {
+            options.bandwidthLimit = parseBandwidth(bandwidth);
+        } catch (error) {
+            throw new Error(`--bandwidth ${error.message}`);
+        }
+    }
+
+    if (options.source && !['zip', 'git'].includes(options.source)) {
+        throw new Error(`--source 只能是 zip 或 git: ${options.source}`);
+    }
+
+    const known = new Set(config.repos.map(repo => repo.name));
+    for (const filter of [...options.only, ...options.skip]) {
+        if (!known.has(filter.repo)) {
+            throw new Error(`未知的仓库: ${filter.repo}（可选: ${[...known].join(', ')}）`);
+        }
+    }
+    return options;
+}
+
+/**
+ * 校验定时 update 的参数（autoUpdate.args 和 watch 的 update 参数）
+ * --dry-run 不会记录运行时间，定时运行时会被立即再次执行，因此不允许
+ * @param {string[]} argv - update 参数
+ * @param {Object} config - 服务配置
+ * @throws {Error} 参数无效
+ */
+function validateScheduledUpdateArgs(argv, config) {
+    if (argv.includes('--dry-run')) {
+        throw new Error('定时 update 不能使用 --dry-run');
+    }
+    parseUpdateOptions(argv, config);
+}
+
+/**
+ * 根据 --only / --skip 计算仓库的包过滤条件
+ * @returns {null|function(string): boolean} 返回 null 表示跳过整个仓库，否则返回包名过滤函数
+ */
+function getPackageFilter(repoName, options) {
+    const only = options.only.filter(f => f.repo === repoName);
+    const skip = options.skip.filter(f => f.repo === repoName);
+
+    if (options.only.length > 0 && only.length === 0) return null;
+    // 整个仓库被跳过
+    if (skip.some(f => !f.pattern)) return null;
+
+    const includePatterns = only.some(f => !f.pattern) ? [] : only.map(f => f.pattern);
+    const excludePatterns = skip.map(f => f.pattern);
+
+    return (pkgName) => {
+        if (includePatterns.length > 0 && !includePatterns.some(re => pkgName && re.test(pkgName))) {
+            return false;
+        }
+        return !excludePatterns.some(re => pkgName && re.test(pkgName));
+    };
+}
+
+/**
+ * 读取包目录中 package.json 的包名，读取失败时返回 null
+ */
+function readPackageName(itemPath) {
+    try {
+        return JSON.parse(fs.readFileSync(path.join(itemPath, 'package.json'), 'utf8')).name || null;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * 遍历仓库的一级文件夹，收集包含 package.json 的包目录
+ * @param {string} repoPath - 仓库目录
+ * @param {function(string): boolean} packageFilter - 包名过滤函数
+ * @param {Set<string>|null} changedDirs - 有变化的目录，null 表示全部
+ * @returns {Array<{item: string, itemPath: string}>}
+ */
+function collectPackageDirs(repoPath, packageFilter, changedDirs) {
+    const dirs = [];
+    for (const item of fs.readdirSync(repoPath)) {
+        const itemPath = path.join(repoPath, item);
+        const stat = fs.statSync(itemPath);
+
+        if (stat.isDirectory() && !item.startsWith('.') && item !== 'node_modules' &&
+            fs.existsSync(path.join(itemPath, 'package.json'))) {
+            if (!packageFilter(readPackageName(itemPath))) {
+                continue;
+            }
+            if (changedDirs && !changedDirs.has(item)) {
+                continue;
+            }
+            dirs.push({ item, itemPath });
+        }
+    }
+    return dirs;
+}
+
+/**
+ * 列出开发板仓库中各包的 board.webp
+ * @returns {Array<{item: string, src: string}>}
+ */
+function listBoardImages(repoPath, packageFilter) {
+    const images = [];
+    for (const item of fs.readdirSync(repoPath)) {
+        const itemPath = path.join(repoPath, item);
+        const stat = fs.statSync(itemPath);
+        if (stat.isDirectory() && !item.startsWith('.') && item !== 'node_modules') {
+            const src = path.join(itemPath, 'board.webp');
+            if (fs.existsSync(src) && packageFilter(readPackageName(itemPath))) {
+                images.push({ item, src });
+            }
+        }
+    }
+    return images;
+}
+
+/**
+ * 异步执行命令并收集输出（用于并发执行，避免多个命令的输出交错）
+ * @returns {Promise<{ok: boolean, output: string}>}
+ */
+function runCommandAsync(cmd, cwd) {
+    return new Promise((resolve) => {
+        const child = spawn(cmd, { cwd, shell: true, windowsHide: true });
+        let output = '';
+        child.stdout.on('data', chunk => output += chunk);
+        child.stderr.on('data', chunk => output += chunk);
+        child.on('error', (error) => resolve({ ok: false, output: error.message }));
+        child.on('close', (code) => resolve({ ok: code === 0, output }));
+    });
+}
+
+/**
+ * 以固定并发数处理任务
+ * @param {Array} items - 任务列表
+ * @param {number} concurrency - 并发数
+ * @param {function(*): Promise} worker - 处理函数
+ */
+async function runPool(items, concurrency, worker) {
+    let next = 0;
+    const runners = Array.from({ length: Math.min(concurrency, items.length) }, async () => {
+        while (next < items.length) {
+            const item = items[next++];
+            await worker(item);
+        }
+    });
+    await Promise.all(runners);
+}
+
+/**
+ * 从本地 verdaccio 获取包信息（packument）
+ * @param {string} name - 包名
+ * @returns {Promise<Object|null>} 包不存在时返回 null
+ */
+function fetchPackument(name) {
+    return new Promise((resolve, reject) => {
+        // scoped 包名中的 / 需要编码
+        const url = `${LOCAL_REGISTRY_URL}/${name.replace('/', '%2f')}`;
+        const req = http.get(url, { headers: { Accept: 'application/json' } }, (res) => {
+            let data = '';
+            res.setEncoding('utf8');
+            res.on('data', chunk => data += chunk);
+            res.on('end', () => {
+                if (res.statusCode === 404) {
+                    resolve(null);
+                } else if (res.statusCode !== 200) {
+                    reject(new Error(`获取包信息失败 ${name}: HTTP ${res.statusCode}`));
+                } else {
+                    try {
+                        resolve(JSON.parse(data));
+                    } catch (error) {
+                        reject(new Error(`解析包信息失败 ${name}: ${error.message}`));
+                    }
+                }
+            });
+        });
+        req.on('error', reject);
+        req.setTimeout(30000, () => {
+            req.destroy(new Error(`获取包信息超时: ${name}`));
+        });
+    });
+}
+
+/**
+ * 判断发布的版本是否低于当前 latest（按该 dist-tag 发布会把 latest 回退到旧版本）
+ * @param {Object|null} packument - 包信息
+ * @param {string} version - 要发布的版本
+ * @param {string} tag - 发布使用的 dist-tag
+ * @returns {string|null} 低于 latest 时返回当前 latest 版本
+ */
+function getDowngradedLatest(packument, version, tag) {
+    const latest = packument && packument['dist-tags'] && packument['dist-tags'].latest;
+    if (tag !== 'latest' || !latest || !semver.valid(version) || !semver.valid(latest)) return null;
+    return semver.lt(version, latest) ? latest : null;
+}
+
+/**
+ * 并发发布包到本地 verdaccio，并显示实时汇总
+ * 每个包只请求一次 packument 判断版本是否已存在；已存在的版本默认跳过，低于 latest 的版本默认拒绝发布
+ * @param {Array<Object>} tasks - 包目录列表（见 collectPublishTasks），预构建的包带有 tarball 和 pkgJson
+ * @param {Object} options
+ * @param {string} options.tag - 发布使用的 dist-tag
+ * @param {boolean} options.republish - 已存在的版本是否先移除再发布（会使客户端缓存的旧包失效）
+ * @param {boolean} options.allowDowngrade - 是否允许发布低于 latest 的版本
+ * @param {number} options.concurrency - 并发数
+ * @returns {Promise<{published: number, skipped: number, failed: number, results: Array<Object>}>}
+ *          results 为每个包的发布结果，按目录名排序
+ */
+async function publishPackages(tasks, options) {
+    const counts = { queued: tasks.length, running: 0, published: 0, skipped: 0, failed: 0 };
+    const results = [];
+    const interactive = process.stdout.isTTY;
+    const registryArgs = `--registry ${LOCAL_REGISTRY_URL} --userconfig "${npmrcPath}"`;
+    const tag = options.tag || 'latest';
+
+    const summary = () => `排队: ${counts.queued}  进行中: ${counts.running}  已发布: ${counts.published}  已跳过: ${counts.skipped}  失败: ${counts.failed}`;
+    const print = (line) => {
+        if (interactive) {
+            process.stdout.write('\r\x1b[K' + line + '\n' + summary());
+        } else {
+            console.log(line);
+        }
+    };
+
+    if (interactive) process.stdout.write(summary());
+
+    await runPool(tasks, options.concurrency, async ({ item, itemPath, tarball, pkgJson: tarballPkgJson }) => {
+        counts.queued--;
+        counts.running++;
+        const result = { dir: item, name: null, version: null, status: 'failed', durationMs: 0, error: null };
+        const startTime = Date.now();
+        results.push(result);
+        try {
+            let pkgJson = tarball ? tarballPkgJson : null;
+            if (!tarball) {
+                try {
+                    pkgJson = JSON.parse(fs.readFileSync(path.join(itemPath, 'package.json'), 'utf8'));
+                } catch (e) {
+                    print(`读取 package.json 失败: ${item} - ${e.message}，尝试直接发布`);
+                }
+            } else if (!pkgJson) {
+                print(`读取 package.json 失败: ${item}，尝试直接发布`);
+            }
+            // 预构建的包（tgz）在项目目录中发布
+            const cwd = tarball ? __dirname : itemPath;
+            const pkgName = pkgJson && pkgJson.name;
+            const pkgVersion = pkgJson && pkgJson.version;
+            const label = pkgName && pkgVersion ? `${pkgName}@${pkgVersion}` : item;
+            result.name = pkgName || null;
+            result.version = pkgVersion || null;
+
+            if (pkgName && pkgVersion) {
+                const packument = await fetchPackument(pkgName);
+                const exists = !!(packument && packument.versions && packument.versions[pkgVersion]);
+
+                if (exists && !options.republish) {
+                    counts.skipped++;
+                    result.status = 'skipped';
+                    print(`- ${label} 已存在，跳过发布`);
+                    return;
+                }
+                const latest = !exists && getDowngradedLatest(packument, pkgVersion, tag);
+                if (latest && !options.allowDowngrade) {
+                    counts.failed++;
+                    result.status = 'rejected';
+                    result.error = `版本低于 latest (${latest})，可使用 --allow-downgrade 发布`;
+                    print(`✗ ${label} 低于 latest (${latest})，拒绝发布`);
+                    return;
+                }
+                if (exists) {
+                    // --republish：先移除再发布
+                    const removed = await runCommandAsync(`npm unpublish ${label} ${registryArgs} --force`, cwd);
+                    if (!removed.ok) {
+                        counts.failed++;
+                        result.error = `移除失败: ${removed.output.trim()}`;
+                        print(`✗ 移除 ${label} 失败:\n${removed.output.trim()}`);
+                        return;
+                    }
+                }
+            }
+
+            const published = await runCommandAsync(`npm publish${tarball ? ` "${tarball}"` : ''} --tag ${tag} ${registryArgs}`, cwd);
+            if (published.ok) {
+                counts.published++;
+                result.status = 'published';
+                print(`✓ ${label} 已发布${tag !== 'latest' ? ` (${tag})` : ''}`);
+            } else {
+                counts.failed++;
+                result.error = published.output.trim();
+                print(`✗ ${label} 发布失败:\n${published.output.trim()}`);
+            }
+        } catch (error) {
+            counts.failed++;
+            result.error = error.message;
+            print(`✗ ${item}: ${error.message}`);
+        } finally {
+            counts.running--;
+            result.durationMs = Date.now() - startTime;
+        }
+    });
+
+    if (interactive) process.stdout.write('\r\x1b[K');
+    console.log(`发布完成 - ${summary()}`);
+    results.sort((a, b) => a.dir.localeCompare(b.dir));
+    return { published: counts.published, skipped: counts.skipped, failed: counts.failed, results };
+}
+
+/**
+ * 设置包的 dist-tag
+ * @returns {Promise<{ok: boolean, output: string}>}
+ */
+function addDistTag(name, version, tag) {
+    return runCommandAsync(`npm dist-tag add ${name}@${version} ${tag} --registry ${LOCAL_REGISTRY_URL} --userconfig "${npmrcPath}"`, __dirname);
+}
+
+/**
+ * 应用配置中的 dist-tag（distTags），已指向目标版本的标签不做修改
+ * @returns {Promise<Array<Object>>} 每个标签的处理结果，status 为 updated / unchanged / failed
+ */
+async function applyDistTags() {
+    const entries = Object.entries(serviceConfig.distTags).flatMap(([tag, packages]) =>
+        Object.entries(packages).map(([name, version]) => ({ tag, name, version })));
+    const results = [];
+    if (entries.length === 0) return results;
+
+    console.log(`\n>>> 应用配置中的 dist-tag（${entries.length} 个）...`);
+    for (const entry of entries) {
+        const result = { ...entry, status: 'unchanged', error: null };
+        const label = `${entry.name}@${entry.version} -> ${entry.tag}`;
+        results.push(result);
+        try {
+            const packument = await fetchPackument(entry.name);
+            if (!packument || !packument.versions || !packument.versions[entry.version]) {
+                throw new Error(`版本 ${entry.version} 未发布`);
+            }
+            if ((packument['dist-tags'] || {})[entry.tag] === entry.version) {
+                console.log(`- ${label} 未变化`);
+                continue;
+            }
+            const added = await addDistTag(entry.name, entry.version, entry.tag);
+            if (!added.ok) {
+                throw new Error(added.output.trim());
+            }
+            result.status = 'updated';
+            console.log(`✓ ${label}`);
+        } catch (error) {
+            result.status = 'failed';
+            result.error = error.message;
+            console.error(`✗ ${label}: ${error.message}`);
+        }
+    }
+    return results;
+}
+
+/**
+ * 生成 update 执行计划（--dry-run），不修改任何文件
+ * 包列表基于 repos/ 中现有的源码，Verdaccio 未运行时无法判断包是否已发布
+ * @param {Object} options - update 选项
+ * @returns {Promise<Object>} 执行计划
+ */
+async function buildUpdatePlan(options) {
+    const plan = {
+        generatedAt: new Date().toISOString(),
+        steps: ['download', 'build', 'copy', 'publish', 'sync'].filter(step => options[step]),
+        force: options.force,
+        from: options.from,
+        registry: { url: LOCAL_REGISTRY_URL, available: false },
+        repos: [],
+        sync: null
+    };
+
+    if (options.publish) {
+        try {
+            await waitForVerdaccio(1, 0);
+            plan.registry.available = true;
+        } catch (error) {
+            plan.registry.available = false;
+        }
+    }
+
+    // zip 介质只读取中央目录，不解压
+    const media = options.from ? await openUpdateMedia(options.from, true) : null;
+    const updateState = readUpdateState();
+
+    for (const repo of REPOS) {
+        const repoPath = path.join(reposDir, repo.name);
+        const packageFilter = getPackageFilter(repo.name, options);
+        const mediaRepo = media && packageFilter ? getMediaRepo(media, repo) : null;
+        const repoPlan = { name: repo.name, skipped: !packageFilter, download: null, changedDirs: null, commands: [], publicFiles: [], packages: [], notes: [] };
+        plan.repos.push(repoPlan);
+        if (!packageFilter) continue;
+        if (mediaRepo && !mediaRepo.source && mediaRepo.tarballs.length === 0) {
+            repoPlan.skipped = true;
+            repoPlan.notes.push('离线介质中没有该仓库');
+            continue;
+        }
+
+        const hasSource = !mediaRepo || !!mediaRepo.source;
+        const exists = hasSource && fs.existsSync(repoPath);
+        if (options.download && hasSource) {
+            // 按顺序尝试的来源，前面的失败时才使用后面的
+            const gitAction = fs.existsSync(path.join(repoPath, '.git')) ? 'fetch' : 'clone';
+            repoPlan.download = getRepoSources(mediaRepo ? { ...repo, sources: [mediaRepo.source] } : repo, options.source).map(source => ({
+                mode: source.type,
+                url: source.url || source.path,
+                ref: source.type === 'git' ? source.ref || repo.ref || null : null,
+                action: source.type === 'git' ? gitAction : source.type === 'dir' ? 'copy' : source.url ? 'download' : 'extract'
+            }));
+            if (exists) {
+                repoPlan.notes.push('包列表基于 repos/ 中现有的源码，下载后可能变化');
+            }
+        }
+        if (hasSource && !exists) {
+            repoPlan.notes.push(options.download ? '仓库尚未下载，下载后才能确定要发布的包' : `仓库目录不存在: ${repoPath}`);
+            if (!mediaRepo || mediaRepo.tarballs.length === 0) continue;
+        }
+        if (mediaRepo && !hasSource) {
+            repoPlan.notes.push('离线介质中只有预构建的包，不下载、构建和复制');
+        }
+        if (mediaRepo && media.zip && mediaRepo.tarballs.length > 0) {
+            repoPlan.notes.push('zip 介质未解压，无法读取预构建包的包名和版本');
+        }
+
+        // 与 update 相同，git 来源只处理自上次记录的版本以来有变化的包目录
+        // dry-run 不下载，以 repos/ 中现有的版本比较
+        let changedDirs = null;
+        const lastRevision = (updateState.repos && updateState.repos[repo.name] || {}).revision;
+        const gitMode = !options.download || (repoPlan.download && repoPlan.download[0].mode === 'git');
+        if (exists && !mediaRepo && !options.force && lastRevision && gitMode && fs.existsSync(path.join(repoPath, '.git'))) {
+            try {
+                changedDirs = getChangedDirs(repoPath, lastRevision, git(['rev-parse', 'HEAD'], repoPath));
+            } catch (e) {
+                changedDirs = null;
+            }
+        }
+        if (changedDirs) {
+            repoPlan.changedDirs = [...changedDirs].filter(Boolean);
+            if (changedDirs.size === 0) {
+                repoPlan.notes.push(`自上次发布 (${lastRevision.slice(0, 12)}) 以来没有变化，跳过${options.download ? '（下载到新的提交后会处理有变化的包）' : ''}`);
+                continue;
+            }
+            repoPlan.notes.push(`自上次发布以来有变化的包目录 (${repoPlan.changedDirs.length}): ${repoPlan.changedDirs.join(', ') || '无'}`);
+        }
+
+        if (options.build && exists) {
+            repoPlan.commands = (media ? repo.offlineCmd : repo.cmd) || [];
+        }
+
+        if (options.copy && exists) {
+            repoPlan.publicFiles = listPublicFiles(repo, repoPath, packageFilter)
+                .map(({ src, file }) => ({ src, dest: path.join(publicDir, file), exists: fs.existsSync(src) }));
+        }
+
+        if (options.publish) {
+            const tasks = await collectPublishTasks(exists ? repoPath : null, packageFilter, changedDirs, mediaRepo);
+            await runPool(tasks, options.concurrency, async ({ item, itemPath, tarball, pkgJson: tarballPkgJson }) => {
+                const pkg = { dir: item, name: null, version: null, status: 'unknown' };
+                repoPlan.packages.push(pkg);
+                if (tarball && !tarballPkgJson && media && media.zip) return;
+                try {
+                    const pkgJson = tarball ? tarballPkgJson : JSON.parse(fs.readFileSync(path.join(itemPath, 'package.json'), 'utf8'));
+                    pkg.name = pkgJson.name || null;
+                    pkg.version = pkgJson.version || null;
+                } catch (e) {
+                    pkg.status = 'invalid';
+                    return;
+                }
+                if (!pkg.name || !pkg.version) {
+                    pkg.status = 'invalid';
+                } else if (plan.registry.available) {
+                    try {
+                        const packument = await fetchPackument(pkg.name);
+                        const published = !!(packument && packument.versions && packument.versions[pkg.version]);
+                        if (published) {
+                            pkg.status = options.republish ? 'replace' : 'published';
+                        } else if (getDowngradedLatest(packument, pkg.version, repo.tag || 'latest')) {
+                            pkg.status = options.allowDowngrade ? 'downgrade' : 'rejected';
+                        } else {
+                            pkg.status = 'new';
+                        }
+                    } catch (error) {
+                        pkg.status = 'unknown';
+                    }
+                }
+            });
+            repoPlan.packages.sort((a, b) => a.dir.localeCompare(b.dir));
+        }
+    }
+
+    if (options.sync) {
+        if (!media) {
+            plan.sync = await buildSyncPlan(options);
+        } else if (hasMediaResources(media)) {
+            plan.sync = await buildSyncPlan(options, path.join(media.root, 'resources'), media.zip ? media : null);
+        }
+    }
+
+    return plan;
+}
+
+/**
+ * 生成资源同步的执行计划：清单中每个文件的处理方式，以及 --mirror 时要删除的文件
+ * 不下载、不删除任何文件
+ * @param {Object} options - update / sync 选项
+ * @param {string} [localDir] - 离线介质的资源目录，指定时读取该目录而不是 R2
+ * @param {Object} [zipMedia] - 未解压的 zip 介质，指定时从 zip 中读取资源列表，localDir 只用于显示
+ * @returns {Promise<Object>}
+ */
+async function buildSyncPlan(options, localDir, zipMedia) {
+    const manifestUrl = `${CLOUDFLARE_R2_CONFIG.publicUrl}/${CLOUDFLARE_R2_CONFIG.manifestFile}`;
+    const hasManifest = zipMedia
+        ? zipMedia.zip.entries.has(`resources/${CLOUDFLARE_R2_CONFIG.manifestFile}`)
+        : localDir && fs.existsSync(path.join(localDir, CLOUDFLARE_R2_CONFIG.manifestFile));
+    const plan = {
+        // 本地资源目录没有清单时列出目录中的所有文件
+        manifest: localDir ? (hasManifest ? path.join(localDir, CLOUDFLARE_R2_CONFIG.manifestFile) : localDir) : manifestUrl,
+        concurrency: options.syncConcurrency,
+        bandwidthLimit: options.bandwidthLimit,
+        mirror: options.mirror,
+        files: [],
+        deletions: [],
+        error: null
+    };
+    try {
+        const files = zipMedia
+            ? await listZipMediaResources(zipMedia)
+            : localDir
+                ? readLocalManifest(localDir, CLOUDFLARE_R2_CONFIG.manifestFile)
+                : await fetchManifest(CLOUDFLARE_R2_CONFIG.publicUrl, CLOUDFLARE_R2_CONFIG.manifestFile);
+        // 只读取 SHA-256 缓存，不写回
+        const hashCache = readSyncHashCache();
+        for (const entry of files) {
+            const destPath = path.join(publicDir, entry.path);
+            const mismatch = options.force ? null : await checkSyncedFile(entry, destPath, hashCache);
+            let action = 'download';
+            if (!options.force && !mismatch) {
+                action = 'skip';
+            } else if (!options.force && !localDir && fs.existsSync(`${destPath}.part`)) {
+                action = 'resume';
+            } else if (mismatch && mismatch !== '不存在') {
+                action = 'redownload';
+            }
+            plan.files.push({ path: entry.path, action, reason: action === 'redownload' ? mismatch : null });
+        }
+        if (options.mirror) {
+            plan.deletions = listMirrorDeletions(files);
+        }
+    } catch (error) {
+        plan.error = error.message;
+    }
+    return plan;
+}
+
+/**
+ * 以文本形式输出资源同步计划
+ */
+function printSyncPlan(plan) {
+    console.log(`\n[资源同步] ${plan.manifest}${plan.mirror ? '（镜像模式）' : ''}`);
+    console.log(`  并发数: ${plan.concurrency}，带宽上限: ${plan.bandwidthLimit > 0 ? `${formatSize(plan.bandwidthLimit)}/s` : '不限'}`);
+    if (plan.error) {
+        console.log(`  无法获取文件清单: ${plan.error}`);
+        return;
+    }
+    for (const file of plan.files) {
+        const action = { download: '下载', resume: '续传', redownload: `重新下载（${file.reason}）`, skip: '跳过（已存在）' }[file.action];
+        console.log(`  ${action}: ${file.path}`);
+    }
+    for (const file of plan.deletions) {
+        console.log(`  删除（不在清单中）: ${file.path}`);
+    }
+    const downloads = plan.files.filter(f => f.action !== 'skip').length;
+    const deleted = plan.mirror ? `，删除 ${plan.deletions.length}（${formatSize(plan.deletions.reduce((sum, f) => sum + f.size, 0))}）` : '';
+    console.log(`  文件合计: ${plan.files.length}（下载 ${downloads}，跳过 ${plan.files.length - downloads}${deleted}）`);
+}
+
+/**
+ * 以文本形式输出 update 执行计划
+ */
+function printUpdatePlan(plan) {
+    const statusText = {
+        new: '新发布', published: '已发布，跳过', replace: '已发布，重新发布', downgrade: '低于 latest，仍会发布',
+        rejected: '低于 latest，拒绝发布', unknown: '未知', invalid: 'package.json 无效'
+    };
+
+    console.log('========================================');
+    console.log('update 执行计划（--dry-run，不会修改任何内容）');
+    console.log(`执行步骤: ${plan.steps.join(', ') || '无'}`);
+    if (plan.from) {
+        console.log(`离线介质: ${plan.from}（以 offlineCmd 代替 cmd）`);
+    }
+    console.log('========================================');
+
+    if (plan.steps.includes('publish') && !plan.registry.available) {
+        console.log(`\n注意: Verdaccio (${plan.registry.url}) 未运行，无法判断包是否已发布`);
+    }
+
+    for (const repo of plan.repos) {
+        console.log(`\n[${repo.name}]${repo.skipped ? ' 跳过' : ''}`);
+        if (repo.skipped) {
+            for (const note of repo.notes) {
+                console.log(`  注意: ${note}`);
+            }
+            continue;
+        }
+
+        if (repo.download) {
+            repo.download.forEach((source, index) => {
+                const ref = source.ref ? ` (${source.ref})` : '';
+                const action = { clone: 'git 克隆', fetch: 'git 增量更新', download: '下载 zip', extract: '解压本地 zip', copy: '复制本地目录' }[source.action];
+                console.log(`  ${index === 0 ? action : `备用 ${index}: ${action}`}: ${source.url}${ref}`);
+            });
+        }
+        for (const note of repo.notes) {
+            console.log(`  注意: ${note}`);
+        }
+        for (const cmd of repo.commands) {
+            console.log(`  执行命令: ${cmd}`);
+        }
+        for (const file of repo.publicFiles) {
+            console.log(`  复制: ${path.relative(__dirname, file.dest)}${file.exists ? '' : '（源文件当前不存在）'}`);
+        }
+        for (const pkg of repo.packages) {
+            const label = pkg.name && pkg.version ? `${pkg.name}@${pkg.version}` : pkg.dir;
+            console.log(`  ${statusText[pkg.status]}: ${label}`);
+        }
+        if (repo.packages.length > 0) {
+            const count = status => repo.packages.filter(p => p.status === status).length;
+            const unknown = count('unknown') + count('invalid');
+            const rejected = count('rejected');
+            console.log(`  包合计: ${repo.packages.length}（新发布 ${count('new') + count('downgrade')}，跳过 ${count('published')}，重新发布 ${count('replace')}${rejected ? `，拒绝 ${rejected}` : ''}${unknown ? `，未知 ${unknown}` : ''}）`);
+        }
+    }
+
+    if (plan.sync) {
+        printSyncPlan(plan.sync);
+    }
+}
+
+/**
+ * update 的退出码：全部成功为 0，部分步骤失败为 1，因前置条件不满足而中止为 2
+ */
+const UPDATE_EXIT_CODES = { success: 0, failed: 1, aborted: 2 };
+
+function escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[ch]);
+}
+
+/**
+ * 将 update 报告渲染为 HTML
+ * @param {Object} report - update 报告
+ */
+function renderUpdateReportHtml(report) {
+    const statusText = {
+        success: '成功', failed: '失败', aborted: '已中止', skipped: '已跳过', unchanged: '无变化', published: '已发布',
+        rejected: '已拒绝', updated: '已更新'
+    };
+    const seconds = ms => (ms / 1000).toFixed(1) + ' s';
+    const status = value => `<span class="${escapeHtml(value)}">${escapeHtml(statusText[value] || value)}</span>`;
+    const error = value => value ? `<pre>${escapeHtml(value)}</pre>` : '';
+
+    const sections = report.repos.map((repo) => {
+        const commands = repo.commands.map(cmd =>
+            `<tr><td><code>${escapeHtml(cmd.cmd)}</code></td><td>${status(cmd.ok ? 'success' : 'failed')}</td><td>${seconds(cmd.durationMs)}</td><td>${error(cmd.error)}</td></tr>`).join('');
+        const packages = repo.packages.map(pkg =>
+            `<tr><td>${escapeHtml(pkg.name ? `${pkg.name}@${pkg.version}` : pkg.dir)}</td><td>${status(pkg.status)}</td><td>${seconds(pkg.durationMs)}</td><td>${error(pkg.error)}</td></tr>`).join('');
+        return `<h2>${escapeHtml(repo.name)} ${status(repo.status)}</h2>
+<p>耗时 ${seconds(repo.durationMs)}${repo.source && repo.source.mode ? `，源码: ${escapeHtml(repo.source.mode)} ${escapeHtml(repo.source.location)}${repo.source.revision ? ` (${escapeHtml(repo.source.revision.slice(0, 12))})` : ''}` : ''}</p>
+${repo.errors.map(error).join('\n')}
+${commands ? `<table><tr><th>命令</th><th>状态</th><th>耗时</th><th>错误</th></tr>${commands}</table>` : ''}
+${packages ? `<table><tr><th>包</th><th>状态</th><th>耗时</th><th>错误</th></tr>${packages}</table>` : ''}`;
+    }).join('\n');
+
+    const distTags = report.distTags.length
+        ? `<h2>dist-tag</h2>
+<table><tr><th>标签</th><th>包</th><th>状态</th><th>错误</th></tr>${report.distTags.map(t =>
+        `<tr><td>${escapeHtml(t.tag)}</td><td>${escapeHtml(`${t.name}@${t.version}`)}</td><td>${status(t.status)}</td><td>${error(t.error)}</td></tr>`).join('')}</table>`
+        : '';
+
+    const sync = report.sync
+        ? `<h2>资源同步 ${status(report.sync.status)}</h2>
+<p>共 ${report.sync.total} 个文件：下载成功 ${report.sync.downloaded}（重新下载 ${report.sync.redownloaded}），已跳过 ${report.sync.skipped}，下载失败 ${report.sync.failed}，删除 ${report.sync.deleted}，耗时 ${seconds(report.sync.durationMs)}</p>
+${error(report.sync.error)}
+${report.sync.failures.length ? `<table><tr><th>文件</th><th>错误</th></tr>${report.sync.failures.map(f => `<tr><td>${escapeHtml(f.file)}</td><td>${error(f.error)}</td></tr>`).join('')}</table>` : ''}`
+        : '';
+
+    return `<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+<meta charset="UTF-8">
+<title>update 报告 ${escapeHtml(report.startedAt)}</title>
+<style>
+body { font-family: sans-serif; margin: 2em; }
+table { border-collapse: collapse; margin: 1em 0; }
+th, td { border: 1px solid #ccc; padding: 4px 8px; text-align: left; vertical-align: top; }
+pre { margin: 0; white-space: pre-wrap; max-width: 60em; }
+.success, .published, .updated { color: #080; }
+.failed, .aborted, .rejected { color: #c00; font-weight: bold; }
+.skipped, .unchanged { color: #888; }
+</style>
+</head>
+<body>
+<h1>update 报告 ${status(report.status)}</h1>
+<p>开始时间 ${escapeHtml(report.startedAt)}，耗时 ${seconds(report.durationMs)}，执行步骤: ${escapeHtml(report.steps.join(', ') || '无')}</p>
+${error(report.error)}
+${sections}
+${distTags}
+${sync}
+</body>
+</html>
+`;
+}
+
+/**
+ * 将 update 报告写入磁盘（JSON，可选 HTML）
+ * @param {Object} report - update 报告
+ * @param {string} file - JSON 报告路径
+ * @param {boolean} html - 是否同时生成同名的 .html 文件
+ */
+function writeUpdateReport(report, file, html) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(report, null, 2) + '\n');
+    console.log(`update 报告: ${file}`);
+    if (html) {
+        const htmlFile = file.replace(/\.json$/i, '') + '.html';
+        fs.writeFileSync(htmlFile, renderUpdateReportHtml(report));
+        console.log(`HTML 报告: ${htmlFile}`);
+    }
+}
+
+/**
+ * 更新仓库并发布包
+ * @param {Object} options - update 选项，见 parseUpdateOptions
+ * @returns {Promise<Object>} update 报告，status 为 success / failed / aborted
+ */
+async function runUpdate(options) {
+    const forceUpdate = options.force;
+    const steps = ['download', 'build', 'copy', 'publish', 'sync'].filter(step => options[step]);
+    const startTime = Date.now();
+    const report = {
+        status: 'success',
+        startedAt: new Date(startTime).toISOString(),
+        finishedAt: null,
+        durationMs: 0,
+        steps,
+        force: forceUpdate,
+        from: options.from,
+        // 本次 update 替换的仓库旧版本保存在同一快照 ID 下，rollback 默认回滚最近一次 update
+        snapshotId: createSnapshotId(),
+        error: null,
+        repos: [],
+        distTags: [],
+        sync: null,
+        // 生成了 .br / .gz 的 public 文件
+        precompressed: []
+    };
+    const finish = (status) => {
+        if (status) report.status = status;
+        report.finishedAt = new Date().toISOString();
+        report.durationMs = Date.now() - startTime;
+        return report;
+    };
+
+    console.log('========================================');
+    console.log('开始更新仓库并发布包...');
+    console.log(`资源同步模式: ${forceUpdate ? '强制更新（覆盖已有文件）' : '增量同步（跳过已有文件）'}`);
+    console.log(`执行步骤: ${steps.join(', ') || '无'}`);
+    if (options.from) {
+        console.log(`离线介质: ${options.from}（不访问网络，以 offlineCmd 代替 cmd）`);
+    }
+    if (options.only.length > 0 || options.skip.length > 0) {
+        const describe = filters => filters.map(f => f.glob ? `${f.repo}:${f.glob}` : f.repo).join(', ');
+        if (options.only.length > 0) console.log(`仅处理: ${describe(options.only)}`);
+        if (options.skip.length > 0) console.log(`跳过: ${describe(options.skip)}`);
+    }
+    console.log('========================================\n');
+
+    // 检查 verdaccio 是否运行
+    if (options.publish) {
+        console.log('检查 Verdaccio 服务状态...');
+        try {
+            await waitForVerdaccio(10, 1000);
+            console.log('Verdaccio 服务已就绪');
+        } catch (error) {
+            console.error('Verdaccio 服务未运行，请先执行: node cli.js run');
+            report.error = 'Verdaccio 服务未运行';
+            return finish('aborted');
+        }
+
+        // 确保认证已设置
+        try {
+            const admin = ensureAuthenticated();
+            await createLocalNpmrc(admin);
+            console.log('认证配置已就绪');
+        } catch (error) {
+            console.error('认证配置失败:', error.message);
+            report.error = `认证配置失败: ${error.message}`;
+            return finish('aborted');
+        }
+    }
+
+    // 创建 repos 目录
+    if (!fs.existsSync(reposDir)) {
+        fs.mkdirSync(reposDir, { recursive: true });
+        console.log(`创建目录: ${reposDir}`);
+    }
+
+    let media = null;
+    if (options.from) {
+        try {
+            media = await openUpdateMedia(options.from);
+        } catch (error) {
+            console.error(`打开离线介质失败: ${error.message}`);
+            report.error = `打开离线介质失败: ${error.message}`;
+            return finish('aborted');
+        }
+    }
+
+    // 本次复制到 public 目录的文件，用于生成 .br / .gz
+    const copiedFiles = [];
+    try {
+        const updateState = readUpdateState();
+        updateState.repos = updateState.repos || {};
+
+        for (const repo of REPOS) {
+            const repoPath = path.join(reposDir, repo.name);
+            const stagingPath = path.join(stagingDir, repo.name);
+            const repoReport = { name: repo.name, status: 'success', durationMs: 0, source: null, snapshot: null, commands: [], packages: [], errors: [] };
+            const repoStartTime = Date.now();
+            report.repos.push(repoReport);
+            const fail = (message) => {
+                repoReport.status = 'failed';
+                repoReport.errors.push(message);
+            };
+
+            try {
+                const packageFilter = getPackageFilter(repo.name, options);
+                if (!packageFilter) {
+                    console.log(`\n跳过仓库: ${repo.name}`);
+                    repoReport.status = 'skipped';
+                    continue;
+                }
+
+                console.log('\n----------------------------------------');
+                console.log(`处理仓库: ${repo.name}`);
+                console.log('----------------------------------------');
+
+                // --from：源码和预构建的包来自离线介质，介质中只有预构建的包时不下载、构建和复制
+                const mediaRepo = media ? getMediaRepo(media, repo) : null;
+                if (mediaRepo && !mediaRepo.source && mediaRepo.tarballs.length === 0) {
+                    console.log(`离线介质中没有仓库 ${repo.name}，跳过`);
+                    repoReport.status = 'skipped';
+                    continue;
+                }
+                const hasSource = !mediaRepo || !!mediaRepo.source;
+
+                // 1. 获取源码到暂存目录（git 增量更新或下载 GitHub zip 并解压），构建和复制成功后才替换 repos/<name>
+                // 不下载时直接在 repos/<name> 中构建和复制
+                // changedDirs 为 null 表示处理全部包，否则只处理有变化的包目录
+                let changedDirs = null;
+                let revision = null;
+                let workPath = repoPath;
+                if (options.download && hasSource) {
+                    // 清理上次中断的 update 留下的暂存目录
+                    fs.rmSync(stagingPath, { recursive: true, force: true });
+                    fs.mkdirSync(stagingDir, { recursive: true });
+                    workPath = stagingPath;
+
+                    let source;
+                    try {
+                        source = await fetchRepoSource(mediaRepo ? { ...repo, sources: [mediaRepo.source] } : repo, stagingPath, options);
+                    } catch (error) {
+                        console.error(`${error.message}，保留当前版本，跳过...`);
+                        repoReport.source = { mode: null, location: null, revision: null, attempts: error.attempts || [] };
+                        fail(error.message);
+                        for (const attempt of repoReport.source.attempts) {
+                            repoReport.errors.push(attempt.error);
+                        }
+                        continue;
+                    }
+                    repoReport.source = source;
+                    revision = source.revision;
+                    if (revision && !forceUpdate) {
+                        const lastRevision = (updateState.repos[repo.name] || {}).revision;
+                        changedDirs = getChangedDirs(stagingPath, lastRevision, revision);
+                        if (changedDirs && changedDirs.size === 0 && fs.existsSync(repoPath)) {
+                            console.log(`仓库 ${repo.name} 自上次发布 (${lastRevision.slice(0, 12)}) 以来没有变化，跳过`);
+                            repoReport.status = 'unchanged';
+                            continue;
+                        }
+                        if (changedDirs) {
+                            const dirs = [...changedDirs].filter(Boolean);
+                            console.log(`自上次发布以来有变化的包目录 (${dirs.length}): ${dirs.join(', ') || '无'}`);
+                        }
+                    }
+                } else if (hasSource && !fs.existsSync(repoPath)) {
+                    console.error(`仓库目录不存在: ${repoPath}，跳过...（去掉 --no-download / --publish-only 以下载仓库）`);
+                    fail(`仓库目录不存在: ${repoPath}`);
+                    continue;
+                }
+
+                // 2. 如果配置了 cmd，执行命令（从离线介质更新时执行 offlineCmd）
+                const commands = media ? repo.offlineCmd : repo.cmd;
+                if (!options.build || !hasSource) {
+                    console.log('已跳过命令执行步骤');
+                } else if (commands && commands.length > 0) {
+                    for (const cmd of commands) {
+                        const cmdStartTime = Date.now();
+                        const result = runCommand(cmd, workPath, `执行: ${cmd}`);
+                        repoReport.commands.push({ cmd, ok: result.ok, durationMs: Date.now() - cmdStartTime, error: result.error });
+                        if (!result.ok) {
+                            console.error(`命令执行失败: ${cmd}`);
+                            fail(`命令执行失败: ${cmd}`);
+                        }
+                    }
+                } else if (media) {
+                    console.log('从离线介质更新，该仓库未配置 offlineCmd，跳过命令执行步骤（cmd 需要联网）');
+                } else {
+                    console.log('该仓库未配置命令，跳过命令执行步骤');
+                }
+
+                // 2.5 收集要复制到 public 目录的文件（public 字段中的文件和开发板图片）
+                let publicFiles = [];
+                if (options.copy && hasSource) {
+                    publicFiles = listPublicFiles(repo, workPath, packageFilter);
+                    for (const { src, file } of publicFiles.filter(({ src }) => !fs.existsSync(src))) {
+                        console.warn(`源文件不存在: ${src}`);
+                        fail(`源文件不存在: ${file}`);
+                    }
+                    publicFiles = publicFiles.filter(({ src }) => fs.existsSync(src));
+                }
+
+                if (options.download && hasSource) {
+                    // 2.6 构建和复制检查都成功后，保存快照并切换到新版本
+                    if (repoReport.status === 'failed') {
+                        console.error(`仓库 ${repo.name} 构建或复制检查失败，保留当前版本，跳过发布`);
+                        continue;
+                    }
+                    if (publicFiles.length > 0) {
+                        console.log(`\n>>> 复制文件到 public 目录（${publicFiles.length} 个文件）...`);
+                    }
+                    try {
+                        commitRepoUpdate(repo, stagingPath, publicFiles, report.snapshotId);
+                        copiedFiles.push(...publicFiles.map(({ file }) => file));
+                    } catch (error) {
+                        console.error(error.message);
+                        fail(error.message);
+                        continue;
+                    }
+                    repoReport.snapshot = serviceConfig.snapshots.keep > 0 ? report.snapshotId : null;
+                    console.log(`已切换到新版本: ${repoPath}`);
+                } else if (publicFiles.length > 0) {
+                    console.log(`\n>>> 复制文件到 public 目录（${publicFiles.length} 个文件）...`);
+                    for (const { src, file } of publicFiles) {
+                        const destPath = path.join(publicDir, file);
+                        try {
+                            fs.mkdirSync(path.dirname(destPath), { recursive: true });
+                            fs.copyFileSync(src, destPath);
+                            copiedFiles.push(file);
+                            console.log(`已复制: ${file} -> ${destPath}`);
+                        } catch (e) {
+                            console.error(`复制文件失败: ${file} - ${e.message}`);
+                            fail(`复制文件失败: ${file} - ${e.message}`);
+                        }
+                    }
+                }
+
+                if (!options.publish) {
+                    console.log('\n已跳过发布步骤');
+                    continue;
+                }
+
+                // 3. 遍历一级文件夹，收集要发布的包（加上离线介质中预构建的包）
+                const tasks = await collectPublishTasks(hasSource ? repoPath : null, packageFilter, changedDirs, mediaRepo);
+                const mediaPackageNames = tasks.filter(task => task.tarball && task.pkgJson && task.pkgJson.name).map(task => task.pkgJson.name);
+                if (mediaPackageNames.length > 0) {
+                    saveMediaPackages(repo.name, mediaPackageNames);
+                }
+
+                // 4. 并发发布到本地 verdaccio
+                console.log(`\n>>> 开始发布包到本地 verdaccio（${tasks.length} 个包，并发 ${options.concurrency}）...`);
+                const publishResult = await publishPackages(tasks, {
+                    tag: repo.tag,
+                    republish: options.republish,
+                    allowDowngrade: options.allowDowngrade,
+                    concurrency: options.concurrency
+                });
+                repoReport.packages = publishResult.results;
+                const publishFailed = publishResult.failed > 0;
+                if (publishFailed) {
+                    fail(`${publishResult.failed} 个包发布失败`);
+                }
+
+                // 记录已发布的版本，下次只处理之后有变化的包
+                // 被 --only / --skip 排除的包有变化时不记录，否则下次从新版本比较，这些变化永远不会发布
+                if (revision) {
+                    const excluded = collectPackageDirs(repoPath, name => !packageFilter(name), changedDirs);
+                    if (publishFailed) {
+                        console.warn(`仓库 ${repo.name} 有包发布失败，未记录版本，下次更新时会重新处理`);
+                    } else if (excluded.length > 0) {
+                        console.warn(`仓库 ${repo.name} 有 ${excluded.length} 个有变化的包被 --only / --skip 排除，未记录版本，下次更新时会重新处理`);
+                    } else {
+                        saveRepoRevision(repo.name, revision);
+                    }
+                }
+            } catch (error) {
+                console.error(`处理仓库 ${repo.name} 失败: ${error.message}`);
+                fail(error.message);
+            } finally {
+                // 切换成功后暂存目录已被移走，其余情况（失败、无变化）直接丢弃
+                fs.rmSync(stagingPath, { recursive: true, force: true });
+                repoReport.durationMs = Date.now() - repoStartTime;
+            }
+        }
+
+        if (options.publish) {
+            report.distTags = await applyDistTags();
+        }
+
+        console.log('\n========================================');
+        console.log('仓库更新和包发布完成!');
+        console.log('========================================');
+
+        // 执行资源同步（从 Cloudflare R2 同步资源到本地）
+        if (options.sync) {
+            console.log('\n');
+            const syncOptions = { concurrency: options.syncConcurrency, bandwidthLimit: options.bandwidthLimit, mirror: options.mirror };
+            const resourcesDir = media && path.join(media.root, 'resources');
+            if (!media) {
+                report.sync = await runSync(forceUpdate, syncOptions);
+            } else if (fs.existsSync(resourcesDir)) {
+                report.sync = await runSync(forceUpdate, { ...syncOptions, localDir: resourcesDir });
+            } else {
+                console.log('离线介质中没有 resources/ 目录，跳过资源同步');
+            }
+        } else {
+            console.log('\n已跳过资源同步步骤');
+        }
+    } finally {
+        if (media) media.cleanup();
+    }
+
+    // 为新复制的目录文件生成 .br / .gz，失败不影响更新结果；同步下载的文件由 runSync 处理
+    try {
+        report.precompressed = precompressPublicFiles(copiedFiles);
+    } catch (error) {
+        console.warn(`预压缩失败: ${error.message}`);
+    }
+    if (report.sync) {
+        report.precompressed.push(...report.sync.precompressed);
+    }
+
+    const distTagsFailed = report.distTags.some(tag => tag.status === 'failed');
+    const failed = report.repos.some(repo => repo.status === 'failed') || distTagsFailed || (report.sync && report.sync.status === 'failed');
+    finish(failed ? 'failed' : 'success');
+
+    console.log('\n========================================');
+    if (failed) {
+        const failedRepos = report.repos.filter(repo => repo.status === 'failed').map(repo => repo.name);
+        console.log('update 完成，但有步骤失败');
+        if (failedRepos.length > 0) console.log(`失败的仓库: ${failedRepos.join(', ')}`);
+        if (distTagsFailed) console.log('部分 dist-tag 设置失败');
+        if (report.sync && report.sync.status === 'failed') console.log('资源同步失败');
+    } else {
+        console.log('update done!');
+    }
+    // 首选来源失败、使用了后面的来源的仓库
+    for (const repo of report.repos.filter(repo => repo.source && repo.source.mode && repo.source.attempts.length > 1)) {
+        console.log(`${repo.name} 使用了备用来源: ${repo.source.location}`);
+    }
+    console.log('========================================');
+    return report;
+}
+
+/**
+ * 发起 HTTP/HTTPS GET 请求并返回响应内容
+ */
+function httpGet(url, maxRedirects = 5) {
+    return new Promise((resolve, reject) => {
+        if (maxRedirects <= 0) {
+            reject(new Error('重定向次数过多'));
+            return;
+        }
 
         const protocol = url.startsWith('https') ? https : http;
 
-        const request = protocol.get(url, (response) => {
-            // 处理重定向
-            if (response.statusCode >= 300 && response.statusCode < 400 && response.headers.location) {
-                httpGet(response.headers.location, maxRedirects - 1)
-                    .then(resolve)
-                    .catch(reject);
-                return;
+        const request = protocol.get(url, (response) => {
+            // 处理重定向
+            if (response.statusCode >= 300 && response.statusCode < 400 && response.headers.location) {
+                httpGet(response.headers.location, maxRedirects - 1)
+                    .then(resolve)
+                    .catch(reject);
+                return;
+            }
+
+            if (response.statusCode !== 200) {
+                reject(new Error(`HTTP ${response.statusCode}`));
+                return;
+            }
+
+            let data = '';
+            response.on('data', chunk => data += chunk);
+            response.on('end', () => resolve(data));
+        });
+
+        request.on('error', reject);
+        request.setTimeout(30000, () => {
+            request.destroy();
+            reject(new Error('请求超时'));
+        });
+    });
+}
+
+/**
+ * 解析文件清单内容
+ * @param {*} manifest - 清单 JSON
+ * @returns {Array<{path: string, size: number|null, sha256: string|null}>}
+ */
+function parseManifest(manifest) {
+    // 支持三种格式：
+    // 1. 直接是文件路径数组: ["file1.txt", "dir/file2.txt"]
+    // 2. 对象格式: { files: ["file1.txt", "dir/file2.txt"] }
+    // 3. 带校验信息: { files: [{ "path": "dir/file2.txt", "size": 1024, "sha256": "..." }] }（可与路径字符串混用）
+    const files = Array.isArray(manifest) ? manifest : manifest && manifest.files;
+    if (!Array.isArray(files)) {
+        throw new Error('清单格式无效，应为文件路径数组或包含 files 字段的对象');
+    }
+    return files.map((item) => {
+        const entry = typeof item === 'string' ? { path: item } : item || {};
+        const filePath = typeof entry.path === 'string' ? entry.path.replace(/\\/g, '/') : '';
+        // 文件只能写入 public 目录之内
+        if (!filePath || filePath.startsWith('/') || /^[A-Za-z]:/.test(filePath) || filePath.split('/').includes('..')) {
+            throw new Error(`清单中的文件路径无效: ${JSON.stringify(item)}`);
+        }
+        if (entry.size !== undefined && !(Number.isInteger(entry.size) && entry.size >= 0)) {
+            throw new Error(`清单中的文件大小无效: ${filePath}`);
+        }
+        if (entry.sha256 !== undefined && !/^[0-9a-fA-F]{64}$/.test(entry.sha256)) {
+            throw new Error(`清单中的 sha256 无效: ${filePath}`);
+        }
+        return {
+            path: filePath,
+            size: entry.size !== undefined ? entry.size : null,
+            sha256: entry.sha256 ? entry.sha256.toLowerCase() : null
+        };
+    });
+}
+
+/**
+ * 从文件清单获取文件列表
+ * @returns {Promise<Array<{path: string, size: number|null, sha256: string|null}>>}
+ */
+async function fetchManifest(baseUrl, manifestFile) {
+    const manifestUrl = `${baseUrl}/${manifestFile}`;
+    
+    try {
+        const content = await httpGet(manifestUrl);
+        return parseManifest(JSON.parse(content));
+    } catch (error) {
+        if (error.message.includes('HTTP 404')) {
+            throw new Error(`文件清单不存在: ${manifestUrl}\n请在 R2 存储桶中创建 ${manifestFile} 文件`);
+        }
+        throw error;
+    }
+}
+
+/**
+ * 读取本地资源目录（update --from 离线介质中的 resources/）的文件列表
+ * 目录中有文件清单时使用清单，否则列出目录中的所有文件
+ * @param {string} dir - 资源目录
+ * @param {string} manifestFile - 清单文件名
+ * @returns {Array<{path: string, size: number|null, sha256: string|null}>}
+ */
+function readLocalManifest(dir, manifestFile) {
+    const manifestPath = path.join(dir, manifestFile);
+    if (fs.existsSync(manifestPath)) {
+        return parseManifest(JSON.parse(fs.readFileSync(manifestPath, 'utf8')));
+    }
+    const files = [];
+    const walk = (current, prefix) => {
+        for (const item of fs.readdirSync(current, { withFileTypes: true })) {
+            const fullPath = path.join(current, item.name);
+            if (item.isDirectory()) {
+                walk(fullPath, `${prefix}${item.name}/`);
+            } else if (item.isFile() && !item.name.endsWith('.part')) {
+                files.push({ path: `${prefix}${item.name}`, size: fs.statSync(fullPath).size, sha256: null });
+            }
+        }
+    };
+    walk(dir, '');
+    return files;
+}
+
+/**
+ * 解析带宽限制，如 "2MB"、"512KB/s"、"1.5M"
+ * @param {string} text - 带宽限制，单位为字节/秒
+ * @returns {number} 字节/秒，0 表示不限速
+ * @throws {Error} 格式无效
+ */
+function parseBandwidth(text) {
+    try {
+        return parseSize(String(text).trim().replace(/\/s$/i, ''));
+    } catch (e) {
+        throw new Error(`无效的带宽限制: ${text}（示例: 2MB、512KB）`);
+    }
+}
+
+/**
+ * 创建带宽限制器（令牌桶），多个下载共享同一个限制器时限制的是总带宽
+ * @param {number} bytesPerSecond - 字节/秒
+ * @returns {{take: function(number): Promise<void>}} take 在额度足够时 resolve
+ */
+function createBandwidthLimiter(bytesPerSecond) {
+    let available = bytesPerSecond;
+    let lastRefill = Date.now();
+    let queue = Promise.resolve();
+
+    return {
+        take(bytes) {
+            // 按请求顺序排队，避免多个下载同时透支额度
+            queue = queue.then(async () => {
+                const now = Date.now();
+                available = Math.min(bytesPerSecond, available + (now - lastRefill) / 1000 * bytesPerSecond);
+                lastRefill = now;
+                available -= bytes;
+                if (available < 0) {
+                    await new Promise(resolve => setTimeout(resolve, -available / bytesPerSecond * 1000));
+                }
+            });
+            return queue;
+        }
+    };
+}
+
+/**
+ * 下载单个文件到指定路径
+ * 目标文件已存在时（上次中断的下载）通过 Range 请求续传，服务器不支持 Range 时重新下载
+ * @param {string} fileUrl - 文件 URL
+ * @param {string} destPath - 目标路径
+ * @param {Object} options
+ * @param {function} [options.onProgress] - 进度回调函数 (downloaded, total, chunkSize)，downloaded 包含续传前已有的部分
+ * @param {Object} [options.limiter] - 带宽限制器，见 createBandwidthLimiter
+ * @param {number} [options.maxRedirects] - 最大重定向次数
+ * @throws {Error} 下载失败或连接中断（已下载的部分保留在目标文件中）
+ */
+function downloadFileToPath(fileUrl, destPath, options = {}) {
+    const { pipeline } = require('stream/promises');
+    const { Transform } = require('stream');
+    const { onProgress = null, limiter = null, maxRedirects = 5 } = options;
+
+    return new Promise((resolve, reject) => {
+        if (maxRedirects <= 0) {
+            reject(new Error('重定向次数过多'));
+            return;
+        }
+
+        // 确保目标目录存在
+        const destDir = path.dirname(destPath);
+        if (!fs.existsSync(destDir)) {
+            fs.mkdirSync(destDir, { recursive: true });
+        }
+
+        const offset = fs.existsSync(destPath) ? fs.statSync(destPath).size : 0;
+        const protocol = fileUrl.startsWith('https') ? https : http;
+        const headers = offset > 0 ? { Range: `bytes=${offset}-` } : {};
+
+        const request = protocol.get(fileUrl, { headers }, (response) => {
+            // 处理重定向
+            if (response.statusCode >= 300 && response.statusCode < 400 && response.headers.location) {
+                response.resume();
+                downloadFileToPath(response.headers.location, destPath, { ...options, maxRedirects: maxRedirects - 1 })
+                    .then(resolve)
+                    .catch(reject);
+                return;
+            }
+
+            // 已下载的部分不小于文件大小，交给调用方校验
+            if (response.statusCode === 416 && offset > 0) {
+                response.resume();
+                resolve(destPath);
+                return;
+            }
+
+            // 206 且起始位置一致时续传，否则从头下载
+            const contentRange = /^bytes (\d+)-\d+\/(\d+|\*)$/.exec(response.headers['content-range'] || '');
+            const resumed = response.statusCode === 206 && contentRange && parseInt(contentRange[1], 10) === offset;
+            if (response.statusCode !== 200 && !resumed) {
+                response.resume();
+                reject(new Error(`HTTP ${response.statusCode}`));
+                return;
+            }
+
+            const startSize = resumed ? offset : 0;
+            const contentLength = parseInt(response.headers['content-length'], 10);
+            const totalSize = Number.isNaN(contentLength) ? 0 : startSize + contentLength;
+            let downloadedSize = startSize;
+
+            // 限速时等待额度后再写入，背压会让 TCP 接收窗口变小，从而降低实际的下载速度
+            const throttle = limiter && new Transform({
+                transform(chunk, encoding, callback) {
+                    limiter.take(chunk.length).then(() => callback(null, chunk), callback);
+                }
+            });
+            const counter = new Transform({
+                transform(chunk, encoding, callback) {
+                    downloadedSize += chunk.length;
+                    if (onProgress) onProgress(downloadedSize, totalSize, chunk.length);
+                    callback(null, chunk);
+                }
+            });
+
+            const streams = [response, throttle, counter, fs.createWriteStream(destPath, { flags: resumed ? 'a' : 'w' })];
+            pipeline(...streams.filter(Boolean)).then(() => {
+                if (totalSize > 0 && downloadedSize < totalSize) {
+                    throw new Error(`连接中断 (${formatSize(downloadedSize)}/${formatSize(totalSize)})`);
+                }
+                resolve(destPath);
+            }).catch(error => reject(error.code === 'ECONNRESET' ? new Error('连接中断') : error));
+        });
+
+        request.on('error', reject);
+        request.setTimeout(120000, () => {
+            request.destroy(new Error('下载超时'));
+        });
+    });
+}
+
+/**
+ * 复制本地文件到指定路径（update --from 离线介质），进度回调与 downloadFileToPath 相同，不续传
+ * @param {string} srcPath - 源文件
+ * @param {string} destPath - 目标路径
+ * @param {Object} options
+ * @param {function(number, number, number)} [options.onProgress] - 进度回调 (已复制, 总大小, 本次大小)
+ */
+async function copyFileToPath(srcPath, destPath, options = {}) {
+    const { pipeline } = require('stream/promises');
+    const { Transform } = require('stream');
+    const total = fs.statSync(srcPath).size;
+    let copied = 0;
+    fs.mkdirSync(path.dirname(destPath), { recursive: true });
+    await pipeline(
+        fs.createReadStream(srcPath),
+        new Transform({
+            transform(chunk, encoding, callback) {
+                copied += chunk.length;
+                if (options.onProgress) options.onProgress(copied, total, chunk.length);
+                callback(null, chunk);
+            }
+        }),
+        fs.createWriteStream(destPath)
+    );
+}
+
+/**
+ * 计算文件的 SHA-256
+ * @returns {Promise<string>} 十六进制字符串
+ */
+function hashFile(filePath) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash('sha256');
+        fs.createReadStream(filePath)
+            .on('error', reject)
+            .on('data', chunk => hash.update(chunk))
+            .on('end', () => resolve(hash.digest('hex')));
+    });
+}
+
+/**
+ * 读取资源同步的 SHA-256 缓存
+ * @returns {Object} { 文件路径: { size, mtimeMs, sha256 } }
+ */
+function readSyncHashCache() {
+    try {
+        return JSON.parse(fs.readFileSync(syncStatePath, 'utf8')).files || {};
+    } catch (e) {
+        return {};
+    }
+}
+
+function writeSyncHashCache(cache) {
+    fs.writeFileSync(syncStatePath, JSON.stringify({ files: cache }, null, 2), 'utf8');
+}
+
+/**
+ * 检查本地文件是否与清单一致
+ * 清单中没有 size 和 sha256 的文件只要存在即视为一致；SHA-256 按文件大小和修改时间缓存，大文件不会每次都重新计算
+ * @param {Object} entry - 清单条目
+ * @param {string} destPath - 本地文件路径
+ * @param {Object} hashCache - SHA-256 缓存，计算后会写入
+ * @returns {Promise<string|null>} 一致时返回 null，否则返回不一致的原因
+ */
+async function checkSyncedFile(entry, destPath, hashCache) {
+    let stat;
+    try {
+        stat = fs.statSync(destPath);
+    } catch (e) {
+        return '不存在';
+    }
+    if (entry.size !== null && stat.size !== entry.size) {
+        return `大小不一致 (${stat.size}，应为 ${entry.size})`;
+    }
+    if (entry.sha256) {
+        const cached = hashCache[entry.path];
+        let sha256 = cached && cached.size === stat.size && cached.mtimeMs === stat.mtimeMs ? cached.sha256 : null;
+        if (!sha256) {
+            sha256 = await hashFile(destPath);
+            hashCache[entry.path] = { size: stat.size, mtimeMs: stat.mtimeMs, sha256 };
+        }
+        if (sha256 !== entry.sha256) {
+            return 'SHA-256 不一致';
+        }
+    }
+    return null;
+}
+
+/**
+ * 下载文件到临时文件（<文件>.part），大小和 SHA-256 校验通过后才替换目标文件
+ * 上次中断留下的临时文件会续传；校验失败时删除临时文件，下次从头下载
+ * @param {Object} entry - 清单条目
+ * @param {string} fileUrl - 文件 URL，或本地文件路径（从离线介质复制）
+ * @param {string} destPath - 目标路径
+ * @param {Object} hashCache - SHA-256 缓存
+ * @param {Object} downloadOptions - 传给 downloadFileToPath 的选项（进度回调、带宽限制器）
+ * @throws {Error} 下载或校验失败
+ */
+async function downloadVerifiedFile(entry, fileUrl, destPath, hashCache, downloadOptions) {
+    const partPath = `${destPath}.part`;
+    if (entry.size !== null && fs.existsSync(partPath) && fs.statSync(partPath).size > entry.size) {
+        fs.rmSync(partPath, { force: true });
+    }
+
+    if (/^https?:\/\//.test(fileUrl)) {
+        await downloadFileToPath(fileUrl, partPath, downloadOptions);
+    } else {
+        await copyFileToPath(fileUrl, partPath, downloadOptions);
+    }
+
+    const size = fs.statSync(partPath).size;
+    if (entry.size !== null && size !== entry.size) {
+        fs.rmSync(partPath, { force: true });
+        throw new Error(`大小校验失败 (${size}，应为 ${entry.size})`);
+    }
+    let sha256 = null;
+    if (entry.sha256) {
+        sha256 = await hashFile(partPath);
+        if (sha256 !== entry.sha256) {
+            fs.rmSync(partPath, { force: true });
+            throw new Error('SHA-256 校验失败');
+        }
+    }
+
+    fs.renameSync(partPath, destPath);
+    if (sha256) {
+        const stat = fs.statSync(destPath);
+        hashCache[entry.path] = { size: stat.size, mtimeMs: stat.mtimeMs, sha256 };
+    } else {
+        delete hashCache[entry.path];
+    }
+}
+
+/**
+ * 列出镜像模式（--mirror）下要删除的本地文件
+ * 只处理清单管理的目录（清单中文件路径的第一级目录，如 sdk/、tools/），public 根目录下的文件不会被删除
+ * 仓库的 public 文件、开发板图片、index.html 和 sync.protect 中的文件受保护
+ * @param {Array<Object>} files - 清单条目
+ * @returns {Array<{path: string, size: number}>} path 为相对 public 目录的路径
+ */
+function listMirrorDeletions(files) {
+    const listed = new Set();
+    for (const entry of files) {
+        listed.add(entry.path);
+        // 清单中文件的未完成下载保留，下次续传
+        listed.add(`${entry.path}.part`);
+        // 预压缩文件随原文件保留
+        for (const ext of Object.values(COMPRESSED_EXTENSIONS)) {
+            listed.add(entry.path + ext);
+        }
+    }
+    const prefixes = new Set(files.filter(entry => entry.path.includes('/')).map(entry => entry.path.split('/')[0]));
+    const protect = ['index.html', 'imgs/boards/', ...REPOS.flatMap(repo => repo.public || []), ...serviceConfig.sync.protect]
+        .map(pattern => globToRegExp(pattern.replace(/\\/g, '/').replace(/\/$/, '/*')));
+
+    const deletions = [];
+    const walk = (dir) => {
+        for (const dirent of fs.readdirSync(dir, { withFileTypes: true })) {
+            const fullPath = path.join(dir, dirent.name);
+            const relativePath = path.relative(publicDir, fullPath).split(path.sep).join('/');
+            if (dirent.isDirectory()) {
+                walk(fullPath);
+            } else if (!listed.has(relativePath) && !protect.some(pattern => pattern.test(relativePath))) {
+                deletions.push({ path: relativePath, size: fs.lstatSync(fullPath).size });
+            }
+        }
+    };
+    for (const prefix of [...prefixes].sort()) {
+        const dir = path.join(publicDir, prefix);
+        if (fs.existsSync(dir) && fs.statSync(dir).isDirectory()) {
+            walk(dir);
+        }
+    }
+    return deletions;
+}
+
+/**
+ * 删除镜像模式下不在清单中的文件，并删除因此变空的目录
+ * @param {Array<{path: string, size: number}>} deletions - listMirrorDeletions 的结果
+ * @returns {{deleted: number, bytes: number, failures: Array<{file: string, error: string}>}}
+ */
+function applyMirrorDeletions(deletions) {
+    const result = { deleted: 0, bytes: 0, failures: [] };
+    const dirs = new Set();
+    for (const file of deletions) {
+        try {
+            fs.rmSync(path.join(publicDir, file.path), { force: true });
+            console.log(`删除（不在清单中）: ${file.path}`);
+            result.deleted++;
+            result.bytes += file.size;
+            dirs.add(path.dirname(path.join(publicDir, file.path)));
+        } catch (error) {
+            console.error(`删除失败: ${file.path}: ${error.message}`);
+            result.failures.push({ file: file.path, error: error.message });
+        }
+    }
+    // 从最深的目录开始删除空目录，不删除 public 本身
+    for (const dir of [...dirs].sort((a, b) => b.length - a.length)) {
+        for (let current = dir; current.startsWith(publicDir + path.sep); current = path.dirname(current)) {
+            try {
+                fs.rmdirSync(current);
+            } catch (e) {
+                // 目录不为空
+                break;
+            }
+        }
+    }
+    return result;
+}
+
+/**
+ * 格式化剩余时间
+ * @param {number} seconds - 秒数
+ */
+function formatDuration(seconds) {
+    const total = Math.ceil(seconds);
+    if (total < 60) return `${total} 秒`;
+    if (total < 3600) return `${Math.floor(total / 60)} 分 ${total % 60} 秒`;
+    return `${Math.floor(total / 3600)} 小时 ${Math.floor((total % 3600) / 60)} 分`;
+}
+
+/**
+ * 创建资源同步的汇总进度：已完成的文件数、已下载的字节数、速度和预计剩余时间
+ * 在终端中原地刷新一行；输出到日志文件时每 10 秒输出一行
+ * @param {Array<Object>} entries - 需要下载的清单条目
+ * @returns {Object} update / finish 更新进度，log / error 输出日志而不打乱进度行，end 结束显示
+ */
+function createSyncProgress(entries) {
+    const isTTY = process.stdout.isTTY;
+    // 各文件的大小（清单中没有 size 时使用响应的 Content-Length）和已下载的字节数（包含续传前已有的部分）
+    const sizes = new Map(entries.filter(entry => entry.size !== null).map(entry => [entry.path, entry.size]));
+    const received = new Map();
+    const startTime = Date.now();
+    let transferred = 0;
+    let done = 0;
+    let failed = 0;
+    let lastRender = 0;
+    let rendered = false;
+
+    const sum = map => [...map.values()].reduce((total, value) => total + value, 0);
+
+    const render = (force) => {
+        const now = Date.now();
+        if (!force && now - lastRender < (isTTY ? 500 : 10000)) return;
+        lastRender = now;
+
+        const totalBytes = sum(sizes);
+        const receivedBytes = sum(received);
+        const elapsed = (now - startTime) / 1000;
+        const speed = elapsed > 0 ? transferred / elapsed : 0;
+        const remaining = totalBytes - receivedBytes;
+        // 开始的几秒速度不稳定，暂不估算剩余时间
+        const eta = elapsed >= 3 && speed > 0 && remaining > 0 ? formatDuration(remaining / speed) : '-';
+        const text = `[同步] 文件 ${done + failed}/${entries.length}${failed > 0 ? `（失败 ${failed}）` : ''} | ` +
+            `${formatSize(receivedBytes)}/${formatSize(totalBytes)} | ${formatSize(speed)}/s | 剩余 ${eta}`;
+        if (isTTY) {
+            // \x1b[K 清除到行尾
+            process.stdout.write(`\r${text}\x1b[K`);
+            rendered = true;
+        } else {
+            console.log(text);
+        }
+    };
+
+    const clear = () => {
+        if (rendered) {
+            process.stdout.write('\r\x1b[K');
+            rendered = false;
+        }
+    };
+
+    return {
+        update(file, bytes, total, chunkSize) {
+            transferred += chunkSize;
+            received.set(file, bytes);
+            if (total > 0 && !sizes.has(file)) sizes.set(file, total);
+            render(false);
+        },
+        finish(file, ok) {
+            if (ok) {
+                done++;
+                if (sizes.has(file)) received.set(file, sizes.get(file));
+            } else {
+                failed++;
+            }
+            render(false);
+        },
+        log(message) {
+            clear();
+            console.log(message);
+            if (isTTY) render(true);
+        },
+        error(message) {
+            clear();
+            console.error(message);
+            if (isTTY) render(true);
+        },
+        end() {
+            render(true);
+            if (isTTY) process.stdout.write('\n');
+        }
+    };
+}
+
+/**
+ * 从 Cloudflare R2（或离线介质的资源目录）同步资源到本地
+ * @param {boolean} forceUpdate - 是否强制更新（覆盖已有文件）
+ * @param {Object} options
+ * @param {string} [options.localDir] - 本地资源目录，指定时从该目录复制而不是从 R2 下载
+ * @param {number} [options.concurrency] - 同时下载的文件数量，默认使用配置中的 sync.concurrency
+ * @param {number} [options.bandwidthLimit] - 总带宽上限（字节/秒），0 表示不限速，默认使用配置中的 sync.bandwidthLimit
+ * @param {boolean} [options.mirror] - 镜像模式：删除清单管理的目录下不在清单中的文件
+ * @returns {Promise<Object>} 同步结果：下载成功/跳过/失败/删除的数量和失败的文件
+ */
+async function runSync(forceUpdate = false, options = {}) {
+    const result = {
+        status: 'success', total: 0, downloaded: 0, redownloaded: 0, skipped: 0, failed: 0, failures: [], bytes: 0,
+        deleted: 0, deletedBytes: 0, deleteFailures: [], precompressed: [], error: null, durationMs: 0
+    };
+    const startTime = Date.now();
+    const concurrency = options.concurrency || serviceConfig.sync.concurrency;
+    const bandwidthLimit = options.bandwidthLimit !== undefined ? options.bandwidthLimit
+        : serviceConfig.sync.bandwidthLimit ? parseBandwidth(serviceConfig.sync.bandwidthLimit) : 0;
+
+    console.log('========================================');
+    if (options.localDir) {
+        console.log('开始从离线介质同步资源...');
+        console.log(`资源目录: ${options.localDir}`);
+    } else {
+        console.log('开始从 Cloudflare R2 同步资源...');
+        console.log(`公开 URL: ${CLOUDFLARE_R2_CONFIG.publicUrl}`);
+        console.log(`存储桶: ${CLOUDFLARE_R2_CONFIG.bucket}`);
+    }
+    console.log(`文件清单: ${CLOUDFLARE_R2_CONFIG.manifestFile}`);
+    console.log(`模式: ${forceUpdate ? '强制更新（覆盖已有文件）' : '增量同步（跳过与清单一致的文件）'}${options.mirror ? '，镜像（删除不在清单中的文件）' : ''}`);
+    console.log(`并发数: ${concurrency}，带宽上限: ${bandwidthLimit > 0 ? `${formatSize(bandwidthLimit)}/s` : '不限'}`);
+    console.log('========================================\n');
+
+    // 确保 public 目录存在
+    if (!fs.existsSync(publicDir)) {
+        fs.mkdirSync(publicDir, { recursive: true });
+        console.log(`创建目录: ${publicDir}`);
+    }
+
+    try {
+        // 1. 从文件清单获取文件列表
+        let files;
+        if (options.localDir) {
+            files = readLocalManifest(options.localDir, CLOUDFLARE_R2_CONFIG.manifestFile);
+        } else {
+            console.log(`正在获取文件清单: ${CLOUDFLARE_R2_CONFIG.publicUrl}/${CLOUDFLARE_R2_CONFIG.manifestFile}`);
+            files = await fetchManifest(CLOUDFLARE_R2_CONFIG.publicUrl, CLOUDFLARE_R2_CONFIG.manifestFile);
+        }
+        
+        result.total = files.length;
+        if (files.length === 0 && !options.mirror) {
+            console.log('文件清单为空，没有文件需要下载');
+            result.durationMs = Date.now() - startTime;
+            return result;
+        }
+
+        console.log(`\n共 ${files.length} 个文件在清单中...\n`);
+
+        // 2. 检查本地文件，与清单一致的跳过，不一致的重新下载
+        const hashCache = readSyncHashCache();
+        const downloads = [];
+        const written = [];
+
+        for (let i = 0; i < files.length; i++) {
+            const entry = files[i];
+            const fileKey = entry.path;
+            const destPath = path.join(publicDir, fileKey);
+            const progress = `[${i + 1}/${files.length}]`;
+
+            let mismatch = null;
+            if (!forceUpdate) {
+                mismatch = await checkSyncedFile(entry, destPath, hashCache);
+                if (!mismatch) {
+                    console.log(`${progress} 跳过 (已存在): ${fileKey}`);
+                    result.skipped++;
+                    continue;
+                }
+                if (mismatch !== '不存在') {
+                    console.log(`${progress} ${mismatch}，重新下载: ${fileKey}`);
+                }
+            } else {
+                // 强制更新时不续传上次留下的临时文件
+                fs.rmSync(`${destPath}.part`, { force: true });
+            }
+            downloads.push({ entry, destPath, redownload: !!mismatch && mismatch !== '不存在' });
+        }
+
+        // 3. 并发下载，所有下载共享同一个带宽限制器
+        if (downloads.length > 0) {
+            console.log(`\n需要下载 ${downloads.length} 个文件\n`);
+            const limiter = bandwidthLimit > 0 ? createBandwidthLimiter(bandwidthLimit) : null;
+            const progress = createSyncProgress(downloads.map(item => item.entry));
+
+            await runPool(downloads, concurrency, async ({ entry, destPath, redownload }) => {
+                const fileKey = entry.path;
+                const fileUrl = options.localDir
+                    ? path.join(options.localDir, ...fileKey.split('/'))
+                    : `${CLOUDFLARE_R2_CONFIG.publicUrl}/${encodeURIComponent(fileKey).replace(/%2F/g, '/')}`;
+                const onProgress = (downloaded, total, chunkSize) => {
+                    result.bytes += chunkSize;
+                    progress.update(fileKey, downloaded, total, chunkSize);
+                };
+
+                if (!options.localDir && fs.existsSync(`${destPath}.part`)) {
+                    progress.log(`续传: ${fileKey}`);
+                }
+                try {
+                    // 中断的下载保留临时文件，重试时从断点续传
+                    // 从离线介质复制时不重试
+                    await withRetries(`下载 ${fileKey}`, () => downloadVerifiedFile(entry, fileUrl, destPath, hashCache, { onProgress, limiter }),
+                        options.localDir ? 1 : serviceConfig.sync.retries, progress);
+                    progress.finish(fileKey, true);
+                    progress.log(`✓ ${fileKey}`);
+                    written.push(fileKey);
+                    result.downloaded++;
+                    if (redownload) result.redownloaded++;
+                } catch (error) {
+                    progress.finish(fileKey, false);
+                    progress.error(`✗ ${fileKey}: ${error.message}`);
+                    result.failed++;
+                    result.failures.push({ file: fileKey, error: error.message });
+                }
+            });
+            progress.end();
+        }
+        writeSyncHashCache(hashCache);
+
+        // 为下载的目录文件生成 .br / .gz，失败不影响同步结果
+        try {
+            result.precompressed = precompressPublicFiles(written);
+        } catch (error) {
+            console.warn(`预压缩失败: ${error.message}`);
+        }
+
+        // 4. 镜像模式：删除上游已删除或改名的文件
+        if (options.mirror) {
+            const deletions = listMirrorDeletions(files);
+            if (deletions.length > 0) {
+                console.log(`\n镜像模式：删除 ${deletions.length} 个不在清单中的文件\n`);
+            }
+            const mirror = applyMirrorDeletions(deletions);
+            result.deleted = mirror.deleted;
+            result.deletedBytes = mirror.bytes;
+            result.deleteFailures = mirror.failures;
+            for (const { path: file } of deletions) {
+                delete hashCache[file];
+            }
+            writeSyncHashCache(hashCache);
+        }
+
+        console.log('\n========================================');
+        console.log('同步完成!');
+        console.log(`下载成功: ${result.downloaded} 个文件${result.redownloaded > 0 ? `（其中 ${result.redownloaded} 个因与清单不一致重新下载）` : ''}，共 ${formatSize(result.bytes)}`);
+        console.log(`已跳过: ${result.skipped} 个文件`);
+        console.log(`下载失败: ${result.failed} 个文件`);
+        if (options.mirror) {
+            console.log(`已删除: ${result.deleted} 个文件（释放 ${formatSize(result.deletedBytes)}）${result.deleteFailures.length > 0 ? `，删除失败 ${result.deleteFailures.length} 个` : ''}`);
+        }
+        console.log(`目标目录: ${publicDir}`);
+        console.log('========================================');
+
+        if (result.failed > 0 || result.deleteFailures.length > 0) result.status = 'failed';
+    } catch (error) {
+        console.error(`同步失败: ${error.message}`);
+        result.status = 'failed';
+        result.error = error.message;
+    }
+
+    result.durationMs = Date.now() - startTime;
+    return result;
+}
+
+/**
+ * 为本次写入 public 目录的目录文件预先生成 .br 和 .gz，静态文件服务器直接发送，不必每次动态压缩
+ * 只处理仓库 public 字段中的文件和 staticServer.compression.precompress 匹配的文件；已是最新的跳过
+ * @param {string[]} files - 本次写入的文件（相对 public 目录）
+ * @returns {string[]} 本次生成了压缩文件的文件（相对 public 目录）
+ */
+function precompressPublicFiles(files) {
+    const zlib = require('zlib');
+    const compression = serviceConfig.staticServer.compression;
+    if (!compression.enabled) return [];
+
+    const globs = [...REPOS.flatMap(repo => repo.public || []), ...compression.precompress];
+    const patterns = globs.map(glob => globToRegExp(glob.split(path.sep).join('/')));
+    const compressedExts = Object.values(COMPRESSED_EXTENSIONS);
+    const done = [];
+
+    for (const relativePath of new Set(files.map(file => file.split(path.sep).join('/')))) {
+        const ext = path.posix.extname(relativePath);
+        if (relativePath.endsWith('.part') || compressedExts.includes(ext)) continue;
+        if (!patterns.some(pattern => pattern.test(relativePath))) continue;
+
+        const fullPath = path.join(publicDir, relativePath);
+        const stats = fs.statSync(fullPath, { throwIfNoEntry: false });
+        const contentType = MIME_TYPES[ext.toLowerCase()] || 'application/octet-stream';
+        if (!stats || !stats.isFile() || !isCompressible(contentType) || stats.size < compression.minSize) continue;
+
+        const stale = compressedExts.filter((ext) => {
+            try {
+                return fs.statSync(fullPath + ext).mtimeMs < stats.mtimeMs;
+            } catch (e) {
+                return true;
+            }
+        });
+        if (stale.length === 0) continue;
+
+        // 先写临时文件再改名，服务器不会读到写了一半的压缩文件
+        const data = fs.readFileSync(fullPath);
+        for (const ext of stale) {
+            const body = ext === COMPRESSED_EXTENSIONS.br
+                ? zlib.brotliCompressSync(data, { params: { [zlib.constants.BROTLI_PARAM_QUALITY]: zlib.constants.BROTLI_MAX_QUALITY, [zlib.constants.BROTLI_PARAM_SIZE_HINT]: data.length } })
+                : zlib.gzipSync(data, { level: zlib.constants.Z_BEST_COMPRESSION });
+            fs.writeFileSync(fullPath + ext + '.part', body);
+            fs.renameSync(fullPath + ext + '.part', fullPath + ext);
+        }
+        done.push(relativePath);
+    }
+
+    if (done.length > 0) {
+        console.log(`已预压缩 ${done.length} 个文件: ${done.join(', ')}`);
+    }
+    return done;
+}
+
+/**
+ * 单独执行资源同步（sync 命令），选项与 update 相同：--force、--mirror、--dry-run、--json、--sync-concurrency、--bandwidth
+ */
+async function runSyncCommand() {
+    let options;
+    try {
+        options = parseUpdateOptions();
+    } catch (error) {
+        console.error(`错误: ${error.message}`);
+        process.exitCode = 1;
+        return;
+    }
+
+    let media = null;
+    if (options.from) {
+        try {
+            // --dry-run 时 zip 介质只读取中央目录，不解压
+            media = await openUpdateMedia(options.from, options.dryRun);
+        } catch (error) {
+            console.error(`打开离线介质失败: ${error.message}`);
+            process.exitCode = 1;
+            return;
+        }
+    }
+
+    let result;
+    try {
+        const localDir = media ? path.join(media.root, 'resources') : undefined;
+        if (media && !hasMediaResources(media)) {
+            console.error(`离线介质中没有 resources/ 目录: ${options.from}`);
+            process.exitCode = 1;
+            return;
+        }
+
+        if (options.dryRun) {
+            const plan = await buildSyncPlan(options, localDir, media && media.zip ? media : null);
+            if (options.json) {
+                console.log(JSON.stringify(plan, null, 2));
+            } else {
+                console.log('========================================');
+                console.log('sync 执行计划（--dry-run，不会修改任何内容）');
+                console.log('========================================');
+                printSyncPlan(plan);
+            }
+            if (plan.error) process.exitCode = 1;
+            return;
+        }
+
+        const lockHolder = acquireUpdateLock('sync');
+        if (lockHolder) {
+            console.error(`${lockHolder.command} 正在运行 (PID: ${lockHolder.pid})，请等待其完成`);
+            process.exitCode = 1;
+            return;
+        }
+        result = await runSync(options.force, { concurrency: options.syncConcurrency, bandwidthLimit: options.bandwidthLimit, mirror: options.mirror, localDir });
+    } finally {
+        if (media) media.cleanup();
+    }
+    if (!result || result.status !== 'success') process.exitCode = 1;
+}
+
+// 离线包（export / import）
+const BUNDLE_FORMAT = 'aily-offline-bundle';
+const BUNDLE_VERSION = 1;
+const BUNDLE_MANIFEST = 'bundle.json';
+// ustar 头部 size 字段（11 位八进制）能表示的最大值，超出时改用 pax 扩展头
+const TAR_MAX_SIZE = 0o77777777777;
+
+/**
+ * 生成 tar 头部（ustar 格式）
+ * @param {string} name - 条目路径
+ * @param {number} size - 数据大小
+ * @param {number} mtime - 修改时间（秒）
+ * @param {string} type - 条目类型，'0' 为普通文件，'x' 为 pax 扩展头
+ * @returns {Buffer}
+ */
+function createTarHeader(name, size, mtime, type) {
+    const header = Buffer.alloc(512);
+    const writeOctal = (value, offset, length) => {
+        header.write(value.toString(8).padStart(length - 1, '0') + '\0', offset, length, 'ascii');
+    };
+    header.write(name, 0, 100, 'utf8');
+    writeOctal(0o644, 100, 8);
+    writeOctal(0, 108, 8);
+    writeOctal(0, 116, 8);
+    writeOctal(size > TAR_MAX_SIZE ? 0 : size, 124, 12);
+    writeOctal(mtime, 136, 12);
+    header.fill(' ', 148, 156);
+    header.write(type, 156, 1, 'ascii');
+    header.write('ustar\0', 257, 6, 'ascii');
+    header.write('00', 263, 2, 'ascii');
+    let checksum = 0;
+    for (const byte of header) checksum += byte;
+    header.write(checksum.toString(8).padStart(6, '0') + '\0 ', 148, 8, 'ascii');
+    return header;
+}
+
+/**
+ * 生成一条 pax 扩展记录，格式为 "<长度> <键>=<值>\n"，长度包含自身
+ */
+function createPaxRecord(key, value) {
+    const body = ` ${key}=${value}\n`;
+    const bodyLength = Buffer.byteLength(body);
+    let length = bodyLength + 1;
+    while (String(length).length + bodyLength !== length) length++;
+    return `${length}${body}`;
+}
+
+/**
+ * 创建 tar 写入器，路径超过 100 字节或文件超过 8GB 时写入 pax 扩展头
+ * @param {string} filePath - 输出文件
+ * @param {Object} options
+ * @param {boolean} options.gzip - 是否使用 gzip 压缩
+ */
+function createTarWriter(filePath, options) {
+    const { pipeline } = require('stream/promises');
+    const { PassThrough } = require('stream');
+    const { once } = require('events');
+
+    const input = options.gzip ? require('zlib').createGzip() : new PassThrough();
+    const done = pipeline(input, fs.createWriteStream(filePath));
+    done.catch(() => { });
+
+    const write = async (chunk) => {
+        if (input.destroyed) await done;
+        if (!input.write(chunk)) {
+            await Promise.race([once(input, 'drain'), done]);
+        }
+    };
+    const pad = (size) => {
+        const padding = (512 - size % 512) % 512;
+        return padding ? write(Buffer.alloc(padding)) : Promise.resolve();
+    };
+    const writeHeader = async (name, size, mtime) => {
+        if (Buffer.byteLength(name) > 100 || size > TAR_MAX_SIZE) {
+            const pax = Buffer.from(createPaxRecord('path', name) + createPaxRecord('size', size));
+            await write(createTarHeader('PaxHeader', pax.length, mtime, 'x'));
+            await write(pax);
+            await pad(pax.length);
+        }
+        await write(createTarHeader(name, size, mtime, '0'));
+    };
+
+    return {
+        async addBuffer(name, buffer, mtime) {
+            await writeHeader(name, buffer.length, mtime);
+            await write(buffer);
+            await pad(buffer.length);
+        },
+        /**
+         * 写入文件，返回写入内容的 SHA-256
+         * 文件大小与 size 不一致（导出过程中被修改）时抛出错误
+         */
+        async addFile(name, fullPath, size, mtime) {
+            await writeHeader(name, size, mtime);
+            const hash = crypto.createHash('sha256');
+            let written = 0;
+            for await (const chunk of fs.createReadStream(fullPath)) {
+                written += chunk.length;
+                if (written > size) break;
+                hash.update(chunk);
+                await write(chunk);
+            }
+            if (written !== size) {
+                throw new Error(`文件在导出过程中被修改: ${name}`);
+            }
+            await pad(size);
+            return hash.digest('hex');
+        },
+        async end() {
+            await write(Buffer.alloc(1024));
+            input.end();
+            await done;
+        },
+        abort() {
+            input.destroy();
+        }
+    };
+}
+
+/**
+ * 逐个读取 tar 条目（自动识别 gzip 压缩，支持 pax 扩展头）
+ * 每个条目的 data() 返回数据块的异步迭代器，未读取的数据在读取下一个条目时跳过
+ * @param {string} filePath - tar 文件
+ */
+async function* readTarEntries(filePath) {
+    const { pipeline } = require('stream');
+
+    const magic = Buffer.alloc(2);
+    const fd = fs.openSync(filePath, 'r');
+    try {
+        fs.readSync(fd, magic, 0, 2, 0);
+    } finally {
+        fs.closeSync(fd);
+    }
+    const source = fs.createReadStream(filePath);
+    const stream = magic[0] === 0x1f && magic[1] === 0x8b
+        ? pipeline(source, require('zlib').createGunzip(), () => { })
+        : source;
+    const iterator = stream[Symbol.asyncIterator]();
+
+    let buffered = Buffer.alloc(0);
+    let ended = false;
+    const fill = async () => {
+        if (ended) return false;
+        let result;
+        try {
+            result = await iterator.next();
+        } catch (error) {
+            if (error.code === 'Z_BUF_ERROR') throw new Error('tar 文件不完整（文件被截断）');
+            if (error.code === 'Z_DATA_ERROR') throw new Error('gzip 数据无效（文件已损坏）');
+            throw error;
+        }
+        const { value, done } = result;
+        if (done) {
+            ended = true;
+            return false;
+        }
+        buffered = buffered.length ? Buffer.concat([buffered, value]) : value;
+        return true;
+    };
+    const readExact = async (size) => {
+        while (buffered.length < size) {
+            if (!await fill()) throw new Error('tar 文件不完整（文件被截断）');
+        }
+        const chunk = buffered.subarray(0, size);
+        buffered = buffered.subarray(size);
+        return chunk;
+    };
+
+    // 当前条目尚未读取的数据字节数
+    let remaining = 0;
+    async function* readData() {
+        while (remaining > 0) {
+            if (buffered.length === 0 && !await fill()) throw new Error('tar 文件不完整（文件被截断）');
+            const chunk = buffered.subarray(0, Math.min(remaining, buffered.length));
+            buffered = buffered.subarray(chunk.length);
+            remaining -= chunk.length;
+            yield chunk;
+        }
+    }
+
+    try {
+        let pax = {};
+        while (true) {
+            if (buffered.length === 0 && !await fill()) return;
+            const header = await readExact(512);
+            if (header.every(byte => byte === 0)) return;
+
+            let checksum = 0;
+            for (let i = 0; i < 512; i++) checksum += i >= 148 && i < 156 ? 32 : header[i];
+            const field = (start, length) => header.toString('utf8', start, start + length).replace(/\0[\s\S]*$/, '');
+            if (parseInt(field(148, 8).trim(), 8) !== checksum) {
+                throw new Error('不是有效的 tar 文件（头部校验失败）');
+            }
+
+            let name = field(0, 100);
+            const prefix = field(257, 5) === 'ustar' ? field(345, 155) : '';
+            if (prefix) name = `${prefix}/${name}`;
+            let size = parseInt(field(124, 12).trim() || '0', 8);
+            const mtime = parseInt(field(136, 12).trim() || '0', 8);
+            const type = field(156, 1) || '0';
+            if (pax.path) name = pax.path;
+            if (pax.size) size = Number(pax.size);
+            pax = {};
+            const padding = (512 - size % 512) % 512;
+
+            if (type === 'x' || type === 'g') {
+                const data = await readExact(size);
+                await readExact(padding);
+                if (type === 'g') continue;
+                let offset = 0;
+                while (offset < data.length) {
+                    const space = data.indexOf(0x20, offset);
+                    const length = parseInt(data.toString('ascii', offset, space), 10);
+                    if (space === -1 || !(length > 0)) break;
+                    const record = data.toString('utf8', space + 1, offset + length - 1);
+                    const equals = record.indexOf('=');
+                    pax[record.slice(0, equals)] = record.slice(equals + 1);
+                    offset += length;
+                }
+                continue;
+            }
+
+            remaining = size;
+            yield { name, size, mtime, type, data: readData };
+            for await (const chunk of readData()) { }
+            await readExact(padding);
+        }
+    } finally {
+        stream.destroy();
+        source.destroy();
+    }
+}
+
+/**
+ * 校验离线包清单
+ * @param {Object} manifest - bundle.json 的内容
+ */
+function validateBundleManifest(manifest) {
+    if (!manifest || manifest.format !== BUNDLE_FORMAT) {
+        throw new Error(`不是有效的离线包（${BUNDLE_MANIFEST} 格式不正确）`);
+    }
+    if (manifest.version > BUNDLE_VERSION) {
+        throw new Error(`离线包版本 ${manifest.version} 过新，请升级本工具后再导入`);
+    }
+    if (!Array.isArray(manifest.files) || !Array.isArray(manifest.included) || !Array.isArray(manifest.deleted)) {
+        throw new Error(`不是有效的离线包（${BUNDLE_MANIFEST} 缺少文件列表）`);
+    }
+    const paths = new Set(manifest.files.map(file => file.path));
+    for (const file of manifest.files) {
+        if (!getBundleTarget(file.path) || !Number.isInteger(file.size) || !/^[0-9a-f]{64}$/.test(file.sha256)) {
+            throw new Error(`${BUNDLE_MANIFEST} 中的文件记录无效: ${file.path}`);
+        }
+    }
+    for (const item of manifest.included) {
+        if (!paths.has(item)) throw new Error(`${BUNDLE_MANIFEST} 中包含的文件不在文件列表中: ${item}`);
+    }
+    for (const item of manifest.deleted) {
+        if (!getBundleTarget(item) || paths.has(item)) throw new Error(`${BUNDLE_MANIFEST} 中的删除记录无效: ${item}`);
+    }
+    if (!manifest.base && manifest.included.length !== manifest.files.length) {
+        throw new Error('完整离线包缺少文件');
+    }
+}
+
+/**
+ * 读取并校验 bundle.json 条目
+ */
+async function readBundleManifestEntry(entry) {
+    const chunks = [];
+    for await (const chunk of entry.data()) chunks.push(chunk);
+    let manifest;
+    try {
+        manifest = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+    } catch (e) {
+        throw new Error(`不是有效的离线包（${BUNDLE_MANIFEST} 不是合法的 JSON）`);
+    }
+    validateBundleManifest(manifest);
+    return manifest;
+}
+
+/**
+ * 只读取离线包开头的清单（bundle.json），不读取其余内容
+ * @param {string} filePath - 离线包文件
+ * @returns {Promise<Object>}
+ */
+async function readBundleManifest(filePath) {
+    for await (const entry of readTarEntries(filePath)) {
+        if (entry.name !== BUNDLE_MANIFEST) break;
+        return readBundleManifestEntry(entry);
+    }
+    throw new Error(`不是有效的离线包（缺少 ${BUNDLE_MANIFEST}）`);
+}
+
+/**
+ * 离线包内路径对应的本地路径：storage/ 对应 Verdaccio 存储目录，public/ 对应静态资源目录
+ * @param {string} bundlePath - 离线包内路径
+ * @returns {string|null} 路径无效时返回 null
+ */
+function getBundleTarget(bundlePath) {
+    if (typeof bundlePath !== 'string') return null;
+    if (bundlePath === 'htpasswd') return htpasswdPath;
+    const [root, ...rest] = bundlePath.split('/');
+    if (rest.length === 0 || rest.some(part => !part || part === '.' || part === '..' || part.includes('\\'))) {
+        return null;
+    }
+    if (root === 'storage') return path.join(getStorageDir(), ...rest);
+    if (root === 'public') return path.join(publicDir, ...rest);
+    return null;
+}
+
+/**
+ * 列出离线包要包含的文件：Verdaccio 存储、public/（含目录 JSON）和 htpasswd
+ * @returns {Array<Object>} [{ path: 离线包内路径, fullPath, size, mtimeMs }]
+ */
+function listBundleFiles() {
+    const files = [];
+    const walk = (dir, prefix) => {
+        if (!fs.existsSync(dir)) return;
+        for (const item of fs.readdirSync(dir, { withFileTypes: true })) {
+            const fullPath = path.join(dir, item.name);
+            if (item.isDirectory()) {
+                walk(fullPath, `${prefix}/${item.name}`);
+            } else if (item.isFile() && !item.name.endsWith('.part')) {
+                const stat = fs.statSync(fullPath);
+                files.push({ path: `${prefix}/${item.name}`, fullPath, size: stat.size, mtimeMs: stat.mtimeMs });
             }
+        }
+    };
+    walk(getStorageDir(), 'storage');
+    walk(publicDir, 'public');
+    if (fs.existsSync(htpasswdPath)) {
+        const stat = fs.statSync(htpasswdPath);
+        files.push({ path: 'htpasswd', fullPath: htpasswdPath, size: stat.size, mtimeMs: stat.mtimeMs });
+    }
+    return files.sort((a, b) => (a.path < b.path ? -1 : a.path > b.path ? 1 : 0));
+}
 
-            if (response.statusCode !== 200) {
-                reject(new Error(`HTTP ${response.statusCode}`));
-                return;
+/**
+ * 读取最近一次导入的离线包信息
+ * @returns {Object|null}
+ */
+function readBundleState() {
+    try {
+        return JSON.parse(fs.readFileSync(bundleStatePath, 'utf8'));
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * 导出离线包：Verdaccio 存储、public/ 和 htpasswd 打包为一个 tar 文件，开头的 bundle.json 记录所有文件的大小和 SHA-256
+ * 指定 --since 时只包含相对上一个离线包新增或修改的文件，并记录已删除的文件
+ * @param {string} filePath - 输出文件，以 .gz/.tgz 结尾时使用 gzip 压缩
+ */
+async function runExport(filePath) {
+    if (!filePath || filePath.startsWith('--')) {
+        console.error('错误: 请指定离线包文件');
+        console.log('用法: node cli.js export <文件> [--since <上一个离线包>]');
+        process.exitCode = 1;
+        return;
+    }
+    const target = path.resolve(filePath);
+    const storageDir = getStorageDir();
+    if ([publicDir, storageDir].some(dir => target.startsWith(dir + path.sep))) {
+        console.error('错误: 离线包不能保存在 public/ 或 Verdaccio 存储目录中');
+        process.exitCode = 1;
+        return;
+    }
+    const since = getOption('--since');
+
+    const lockHolder = acquireUpdateLock('export');
+    if (lockHolder) {
+        console.error(`${lockHolder.command} 正在运行 (PID: ${lockHolder.pid})，请等待其完成`);
+        process.exitCode = 1;
+        return;
+    }
+
+    const tempPath = `${target}.part`;
+    try {
+        let base = null;
+        if (since) {
+            base = await readBundleManifest(path.resolve(since));
+            console.log(`增量导出，基准离线包: ${base.id}（${base.createdAt}）`);
+        }
+
+        const files = listBundleFiles();
+        console.log(`正在计算 ${files.length} 个文件的 SHA-256...`);
+        for (const file of files) {
+            file.sha256 = await hashFile(file.fullPath);
+        }
+
+        const baseFiles = new Map(base ? base.files.map(file => [file.path, file.sha256]) : []);
+        const current = new Set(files.map(file => file.path));
+        const included = files.filter(file => baseFiles.get(file.path) !== file.sha256);
+        const deleted = base ? base.files.map(file => file.path).filter(item => !current.has(item)) : [];
+        const manifest = {
+            format: BUNDLE_FORMAT,
+            version: BUNDLE_VERSION,
+            id: crypto.randomUUID(),
+            createdAt: new Date().toISOString(),
+            base: base ? { id: base.id, createdAt: base.createdAt } : null,
+            files: files.map(file => ({ path: file.path, size: file.size, sha256: file.sha256 })),
+            included: included.map(file => file.path),
+            deleted
+        };
+
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        const writer = createTarWriter(tempPath, { gzip: /\.t?gz$/i.test(target) });
+        const totalSize = included.reduce((sum, file) => sum + file.size, 0);
+        let writtenSize = 0;
+        try {
+            await writer.addBuffer(BUNDLE_MANIFEST, Buffer.from(JSON.stringify(manifest, null, 2)), Math.floor(Date.now() / 1000));
+            for (const file of included) {
+                const sha256 = await writer.addFile(file.path, file.fullPath, file.size, Math.floor(file.mtimeMs / 1000));
+                if (sha256 !== file.sha256) {
+                    throw new Error(`文件在导出过程中被修改: ${file.path}`);
+                }
+                writtenSize += file.size;
+                process.stdout.write(`\r正在写入离线包: ${formatSize(writtenSize)}/${formatSize(totalSize)}` + ' '.repeat(10));
             }
+            await writer.end();
+            if (included.length) process.stdout.write('\n');
+        } catch (error) {
+            writer.abort();
+            if (included.length) process.stdout.write('\n');
+            throw error;
+        }
+        fs.renameSync(tempPath, target);
 
-            let data = '';
-            response.on('data', chunk => data += chunk);
-            response.on('end', () => resolve(data));
-        });
+        console.log('========================================');
+        console.log(`离线包已导出: ${target}（${formatSize(fs.statSync(target).size)}）`);
+        console.log(`ID: ${manifest.id}`);
+        if (base) {
+            console.log(`增量包: 包含 ${included.length} 个新增或修改的文件，删除 ${deleted.length} 个文件（共 ${files.length} 个文件）`);
+        } else {
+            console.log(`完整包: 包含 ${files.length} 个文件（${formatSize(totalSize)}）`);
+        }
+        console.log('========================================');
+    } catch (error) {
+        fs.rmSync(tempPath, { force: true });
+        console.error(`导出失败: ${error.message}`);
+        process.exitCode = 1;
+    } finally {
+        releaseUpdateLock();
+    }
+}
 
-        request.on('error', reject);
-        request.setTimeout(30000, () => {
-            request.destroy();
-            reject(new Error('请求超时'));
-        });
-    });
+/**
+ * 解开离线包到暂存目录，并按清单校验每个文件的大小和 SHA-256
+ * @param {string} filePath - 离线包文件
+ * @param {string} destDir - 暂存目录
+ * @returns {Promise<Object>} 离线包清单
+ */
+async function extractBundle(filePath, destDir) {
+    const { pipeline } = require('stream/promises');
+
+    let manifest = null;
+    let expected = null;
+    const seen = new Set();
+    let extractedSize = 0;
+    let totalSize = 0;
+
+    try {
+        for await (const entry of readTarEntries(filePath)) {
+            if (!manifest) {
+                if (entry.name !== BUNDLE_MANIFEST) break;
+                manifest = await readBundleManifestEntry(entry);
+                const included = new Set(manifest.included);
+                expected = new Map(manifest.files.filter(file => included.has(file.path)).map(file => [file.path, file]));
+                totalSize = [...expected.values()].reduce((sum, file) => sum + file.size, 0);
+                continue;
+            }
+
+            const file = expected.get(entry.name);
+            if (entry.type !== '0' || !file || seen.has(entry.name)) {
+                throw new Error(`离线包中有清单之外的条目: ${entry.name}`);
+            }
+            seen.add(entry.name);
+
+            const dest = path.join(destDir, ...entry.name.split('/'));
+            fs.mkdirSync(path.dirname(dest), { recursive: true });
+            const hash = crypto.createHash('sha256');
+            await pipeline(async function* () {
+                for await (const chunk of entry.data()) {
+                    hash.update(chunk);
+                    yield chunk;
+                }
+            }, fs.createWriteStream(dest));
+            if (entry.size !== file.size || hash.digest('hex') !== file.sha256) {
+                throw new Error(`文件校验失败: ${entry.name}`);
+            }
+            fs.utimesSync(dest, entry.mtime, entry.mtime);
+
+            extractedSize += entry.size;
+            process.stdout.write(`\r正在校验并解开离线包: ${formatSize(extractedSize)}/${formatSize(totalSize)}` + ' '.repeat(10));
+        }
+    } finally {
+        if (seen.size) process.stdout.write('\n');
+    }
+
+    if (!manifest) {
+        throw new Error(`不是有效的离线包（缺少 ${BUNDLE_MANIFEST}）`);
+    }
+    const missing = manifest.included.filter(item => !seen.has(item));
+    if (missing.length) {
+        throw new Error(`离线包缺少 ${missing.length} 个文件，如: ${missing[0]}`);
+    }
+    return manifest;
 }
 
 /**
- * 从文件清单获取文件列表
+ * 将暂存目录中校验过的文件安装到位，任何一步失败都会恢复原有文件
+ * 完整包整体替换 Verdaccio 存储、public/ 和 htpasswd；增量包只替换修改过的文件并删除已删除的文件
+ * @param {Object} manifest - 离线包清单
+ * @param {string} fromDir - 暂存目录
  */
-async function fetchManifest(baseUrl, manifestFile) {
-    const manifestUrl = `${baseUrl}/${manifestFile}`;
-    console.log(`正在获取文件清单: ${manifestUrl}`);
-    
+function installBundle(manifest, fromDir) {
+    fs.rmSync(importBackupDir, { recursive: true, force: true });
+    const moved = [];
+    const move = (from, to) => {
+        fs.mkdirSync(path.dirname(to), { recursive: true });
+        try {
+            fs.renameSync(from, to);
+        } catch (error) {
+            // 存储目录可能在其他磁盘上，无法直接重命名
+            if (error.code !== 'EXDEV') throw error;
+            fs.cpSync(from, to, { recursive: true });
+            fs.rmSync(from, { recursive: true, force: true });
+        }
+        moved.push([from, to]);
+    };
+
     try {
-        const content = await httpGet(manifestUrl);
-        const manifest = JSON.parse(content);
-        
-        // 支持两种格式：
-        // 1. 直接是文件路径数组: ["file1.txt", "dir/file2.txt"]
-        // 2. 对象格式: { files: ["file1.txt", "dir/file2.txt"] }
-        if (Array.isArray(manifest)) {
-            return manifest;
-        } else if (manifest.files && Array.isArray(manifest.files)) {
-            return manifest.files;
+        if (!manifest.base) {
+            for (const [root, dest] of [['storage', getStorageDir()], ['public', publicDir], ['htpasswd', htpasswdPath]]) {
+                const staged = path.join(fromDir, root);
+                if (fs.existsSync(dest)) move(dest, path.join(importBackupDir, root));
+                if (fs.existsSync(staged)) {
+                    move(staged, dest);
+                } else if (root !== 'htpasswd') {
+                    fs.mkdirSync(dest, { recursive: true });
+                }
+            }
         } else {
-            throw new Error('清单格式无效，应为文件路径数组或包含 files 字段的对象');
+            for (const item of [...manifest.deleted, ...manifest.included]) {
+                const target = getBundleTarget(item);
+                if (fs.existsSync(target)) move(target, path.join(importBackupDir, ...item.split('/')));
+            }
+            for (const item of manifest.included) {
+                move(path.join(fromDir, ...item.split('/')), getBundleTarget(item));
+            }
         }
     } catch (error) {
-        if (error.message.includes('HTTP 404')) {
-            throw new Error(`文件清单不存在: ${manifestUrl}\n请在 R2 存储桶中创建 ${manifestFile} 文件`);
+        for (const [from, to] of moved.reverse()) {
+            try {
+                fs.rmSync(from, { recursive: true, force: true });
+                fs.renameSync(to, from);
+            } catch (e) {
+                console.error(`恢复失败: ${from}（备份位于 ${to}）`);
+            }
         }
         throw error;
     }
+    fs.rmSync(importBackupDir, { recursive: true, force: true });
 }
 
 /**
- * 下载单个文件到指定路径
- * @param {string} fileUrl - 文件 URL
- * @param {string} destPath - 目标路径
- * @param {function} onProgress - 进度回调函数 (downloaded, total, percent)
- * @param {number} maxRedirects - 最大重定向次数
+ * 导入离线包：校验全部文件后停止服务、安装文件，成功后重新启动导入前在运行的服务
+ * 增量包要求当前已导入的离线包与其基准一致（--force 跳过此检查）
+ * @param {string} filePath - 离线包文件
  */
-function downloadFileToPath(fileUrl, destPath, onProgress = null, maxRedirects = 5) {
-    return new Promise((resolve, reject) => {
-        if (maxRedirects <= 0) {
-            reject(new Error('重定向次数过多'));
-            return;
-        }
+async function runImport(filePath) {
+    if (!filePath || filePath.startsWith('--')) {
+        console.error('错误: 请指定离线包文件');
+        console.log('用法: node cli.js import <文件> [--force] [--no-start]');
+        process.exitCode = 1;
+        return;
+    }
+    const source = path.resolve(filePath);
+    if (!fs.existsSync(source)) {
+        console.error(`错误: 离线包不存在: ${source}`);
+        process.exitCode = 1;
+        return;
+    }
 
-        // 确保目标目录存在
-        const destDir = path.dirname(destPath);
-        if (!fs.existsSync(destDir)) {
-            fs.mkdirSync(destDir, { recursive: true });
-        }
+    // 前台运行的服务无法由 import 停止，替换它正在使用的 storage/ 会损坏数据
+    const foregroundPid = getForegroundPid();
+    if (foregroundPid) {
+        console.error(`服务正在前台运行 (PID: ${foregroundPid})，请先停止后再导入`);
+        process.exitCode = 1;
+        return;
+    }
 
-        const protocol = fileUrl.startsWith('https') ? https : http;
+    const lockHolder = acquireUpdateLock('import');
+    if (lockHolder) {
+        console.error(`${lockHolder.command} 正在运行 (PID: ${lockHolder.pid})，请等待其完成`);
+        process.exitCode = 1;
+        return;
+    }
 
-        const request = protocol.get(fileUrl, (response) => {
-            // 处理重定向
-            if (response.statusCode >= 300 && response.statusCode < 400 && response.headers.location) {
-                downloadFileToPath(response.headers.location, destPath, onProgress, maxRedirects - 1)
-                    .then(resolve)
-                    .catch(reject);
+    let manifest;
+    try {
+        fs.rmSync(importStagingDir, { recursive: true, force: true });
+        manifest = await extractBundle(source, importStagingDir);
+    } catch (error) {
+        fs.rmSync(importStagingDir, { recursive: true, force: true });
+        releaseUpdateLock();
+        console.error(`离线包校验失败: ${error.message}`);
+        process.exitCode = 1;
+        return;
+    }
+    console.log(`离线包校验通过: ${manifest.id}（${manifest.createdAt}）`);
+
+    if (manifest.base) {
+        const state = readBundleState();
+        if (!state || state.id !== manifest.base.id) {
+            const current = state ? `当前已导入的离线包为 ${state.id}（${state.createdAt}）` : '当前未导入过离线包';
+            const message = `这是增量离线包，需要先导入基准离线包 ${manifest.base.id}（${manifest.base.createdAt}），${current}`;
+            if (!args.includes('--force')) {
+                fs.rmSync(importStagingDir, { recursive: true, force: true });
+                releaseUpdateLock();
+                console.error(`错误: ${message}`);
+                console.error('确认无误后可使用 --force 强制导入');
+                process.exitCode = 1;
                 return;
             }
+            console.log(`警告: ${message}，已使用 --force 强制导入`);
+        }
+    }
 
-            if (response.statusCode !== 200) {
-                reject(new Error(`HTTP ${response.statusCode}`));
-                return;
-            }
+    // 导入前停止正在运行的服务（包括自动更新），导入成功后只重新启动原来在运行的服务
+    // 有进程未能停止时不能替换它正在使用的 storage/，放弃导入
+    const running = { verdaccio: !!getPid(), staticServer: !!getStaticPid(), autoUpdate: readAutoUpdateState() };
+    const wasRunning = !!(running.verdaccio || running.staticServer || running.autoUpdate);
+    let imported = false;
+    try {
+        if (wasRunning && !await stopVerdaccio()) {
+            console.error('有服务未能停止，已放弃导入，现有文件未被修改');
+            process.exitCode = 1;
+            return;
+        }
+        try {
+            installBundle(manifest, importStagingDir);
+        } catch (error) {
+            console.error(`安装离线包失败，已恢复原有文件: ${error.message}`);
+            if (wasRunning) console.error('导入前停止的服务未重新启动，确认无误后请执行: node cli.js run');
+            process.exitCode = 1;
+            return;
+        }
+        imported = true;
+        fs.writeFileSync(bundleStatePath, JSON.stringify({
+            id: manifest.id,
+            createdAt: manifest.createdAt,
+            base: manifest.base,
+            file: source,
+            importedAt: new Date().toISOString()
+        }, null, 2));
+        console.log('========================================');
+        console.log(`离线包已导入: ${manifest.id}`);
+        if (manifest.base) {
+            console.log(`增量包: 更新 ${manifest.included.length} 个文件，删除 ${manifest.deleted.length} 个文件`);
+        } else {
+            console.log(`完整包: ${manifest.files.length} 个文件`);
+        }
+        console.log('========================================');
+    } finally {
+        fs.rmSync(importStagingDir, { recursive: true, force: true });
+        releaseUpdateLock();
+    }
 
-            const totalSize = parseInt(response.headers['content-length'], 10) || 0;
-            let downloadedSize = 0;
+    if (!imported || args.includes('--no-start')) return;
+    if (running.verdaccio) await startVerdaccio();
+    if (running.staticServer) await startStaticServer();
+    if (running.autoUpdate) {
+        await startAutoUpdate(running.autoUpdate.schedule);
+    }
+}
 
-            const fileStream = fs.createWriteStream(destPath);
+/**
+ * 解析 cron 表达式中的一个字段，支持 *、数字、范围（1-5）、列表（1,3）和步长（*\/15）
+ * @returns {Set<number>}
+ */
+function parseCronField(text, min, max) {
+    const values = new Set();
+    for (const part of text.split(',')) {
+        const match = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+        if (!match) {
+            throw new Error(`无效的 cron 字段: ${text}`);
+        }
+        const start = match[1] === '*' ? min : parseInt(match[2], 10);
+        const end = match[1] === '*' || (match[3] === undefined && match[4]) ? max
+            : match[3] !== undefined ? parseInt(match[3], 10) : start;
+        const step = match[4] ? parseInt(match[4], 10) : 1;
+        if (start < min || end > max || start > end || step < 1) {
+            throw new Error(`cron 字段超出范围 (${min}-${max}): ${text}`);
+        }
+        for (let value = start; value <= end; value += step) {
+            values.add(value);
+        }
+    }
+    return values;
+}
 
-            response.on('data', (chunk) => {
-                downloadedSize += chunk.length;
-                if (onProgress && totalSize > 0) {
-                    const percent = Math.round((downloadedSize / totalSize) * 100);
-                    onProgress(downloadedSize, totalSize, percent);
-                }
-            });
+/**
+ * 解析自动更新计划
+ * 支持间隔（如 30m、6h、1d，从上次 update 开始计算）或 5 段 cron 表达式（分 时 日 月 周，本地时间）
+ * @param {string} spec - 计划
+ * @returns {Object} { type: 'interval', ms } 或 { type: 'cron', minute, hour, day, month, weekday }
+ * @throws {Error} 格式无效
+ */
+function parseSchedule(spec) {
+    const text = String(spec).trim();
+    const interval = /^(\d+)(m|h|d)$/.exec(text);
+    if (interval) {
+        const value = parseInt(interval[1], 10);
+        if (value < 1) {
+            throw new Error(`间隔必须大于 0: ${text}`);
+        }
+        const unit = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 }[interval[2]];
+        return { type: 'interval', spec: text, ms: value * unit };
+    }
 
-            response.pipe(fileStream);
+    const fields = text.split(/\s+/);
+    if (fields.length !== 5) {
+        throw new Error(`无效的计划: ${text}（应为间隔如 6h，或 cron 表达式如 "0 2 * * *"）`);
+    }
+    const weekday = parseCronField(fields[4], 0, 7);
+    if (weekday.has(7)) weekday.add(0);
+    return {
+        type: 'cron',
+        spec: text,
+        minute: parseCronField(fields[0], 0, 59),
+        hour: parseCronField(fields[1], 0, 23),
+        day: parseCronField(fields[2], 1, 31),
+        month: parseCronField(fields[3], 1, 12),
+        weekday,
+        // 日和周都有限制时满足任一即可（与 cron 相同）
+        anyDay: fields[2] === '*',
+        anyWeekday: fields[4] === '*'
+    };
+}
 
-            fileStream.on('finish', () => {
-                fileStream.close();
-                resolve(destPath);
-            });
+/**
+ * 计算下一次运行时间
+ * @param {Object} schedule - parseSchedule 的结果
+ * @param {Date|null} lastRunStart - 上次 update 的开始时间（间隔计划使用）
+ * @returns {Date}
+ */
+function getNextRunTime(schedule, lastRunStart) {
+    const now = new Date();
+    if (schedule.type === 'interval') {
+        // 服务器长时间关机后启动时，已超过间隔则立即运行
+        const due = lastRunStart ? lastRunStart.getTime() + schedule.ms : now.getTime();
+        return new Date(Math.max(due, now.getTime()));
+    }
 
-            fileStream.on('error', (err) => {
-                fs.unlink(destPath, () => { });
-                reject(err);
-            });
-        });
+    const date = new Date(now.getTime());
+    date.setSeconds(0, 0);
+    date.setMinutes(date.getMinutes() + 1);
+    const limit = now.getTime() + 5 * 366 * 24 * 60 * 60 * 1000;
+    while (date.getTime() < limit) {
+        const dayMatches = schedule.anyDay || schedule.anyWeekday
+            ? schedule.day.has(date.getDate()) && schedule.weekday.has(date.getDay())
+            : schedule.day.has(date.getDate()) || schedule.weekday.has(date.getDay());
+        if (!schedule.month.has(date.getMonth() + 1)) {
+            date.setMonth(date.getMonth() + 1, 1);
+            date.setHours(0, 0, 0, 0);
+        } else if (!dayMatches) {
+            date.setDate(date.getDate() + 1);
+            date.setHours(0, 0, 0, 0);
+        } else if (!schedule.hour.has(date.getHours())) {
+            date.setHours(date.getHours() + 1, 0, 0, 0);
+        } else if (!schedule.minute.has(date.getMinutes())) {
+            date.setMinutes(date.getMinutes() + 1, 0, 0);
+        } else {
+            return date;
+        }
+    }
+    throw new Error(`cron 表达式没有匹配的时间: ${schedule.spec}`);
+}
 
-        request.on('error', reject);
-        request.setTimeout(120000, () => {
-            request.destroy();
-            reject(new Error('下载超时'));
-        });
-    });
+/**
+ * 读取自动更新进程的状态，进程已退出时返回 null
+ * @returns {{pid: number, schedule: string, nextRun: string|null, running: boolean}|null}
+ */
+function readAutoUpdateState() {
+    try {
+        const state = JSON.parse(fs.readFileSync(autoUpdateStatePath, 'utf8'));
+        return state.pid && isProcessRunning(state.pid) ? state : null;
+    } catch (e) {
+        return null;
+    }
 }
 
 /**
- * 从 Cloudflare R2 同步资源到本地
- * @param {boolean} forceUpdate - 是否强制更新（覆盖已有文件）
+ * 创建定时 update 调度器
+ * 到点后启动 update 子进程（构建命令不会阻塞当前进程中的服务），运行结束后才计算下一次运行时间，因此不会重叠
+ * @param {Object} schedule - parseSchedule 的结果
+ * @param {string[]} updateArgs - 传给 update 的参数
+ * @returns {{stop: function(): Promise<void>}}
  */
-async function runSync(forceUpdate = false) {
-    console.log('========================================');
-    console.log('开始从 Cloudflare R2 同步资源...');
-    console.log(`公开 URL: ${CLOUDFLARE_R2_CONFIG.publicUrl}`);
-    console.log(`存储桶: ${CLOUDFLARE_R2_CONFIG.bucket}`);
-    console.log(`文件清单: ${CLOUDFLARE_R2_CONFIG.manifestFile}`);
-    console.log(`模式: ${forceUpdate ? '强制更新（覆盖已有文件）' : '增量同步（跳过已有文件）'}`);
-    console.log('========================================\n');
+function createUpdateScheduler(schedule, updateArgs) {
+    let timer = null;
+    let child = null;
+    let stopped = false;
+    let nextRun = null;
+    // 本调度器最近一次启动 update 的时间；update 没有记录 lastRun 时（参数错误、崩溃等）按它计算间隔，避免立即重复启动
+    let lastSpawn = null;
+
+    const writeState = () => {
+        fs.writeFileSync(autoUpdateStatePath, JSON.stringify({
+            pid: process.pid,
+            schedule: schedule.spec,
+            nextRun: nextRun && nextRun.toISOString(),
+            running: !!child
+        }, null, 2));
+    };
+
+    const plan = (retryLater) => {
+        if (stopped) return;
+        const lastRun = readUpdateState().lastRun;
+        const lastRunStart = [lastRun && new Date(lastRun.startedAt), lastSpawn]
+            .filter(date => date && !isNaN(date.getTime()))
+            .reduce((latest, date) => (!latest || date > latest ? date : latest), null);
+        nextRun = retryLater && schedule.type === 'interval'
+            ? new Date(Date.now() + 60 * 1000)
+            : getNextRunTime(schedule, lastRunStart);
+        writeState();
+        console.log(`[自动更新] 下次运行: ${nextRun.toLocaleString()}`);
+        tick();
+    };
+
+    // 每分钟检查一次，系统休眠唤醒后也能及时运行
+    const tick = () => {
+        if (stopped) return;
+        const remaining = nextRun.getTime() - Date.now();
+        if (remaining > 0) {
+            timer = setTimeout(tick, Math.min(remaining, 60 * 1000));
+            return;
+        }
+        runOnce();
+    };
+
+    const runOnce = () => {
+        const holder = readUpdateLock();
+        if (holder) {
+            console.log(`[自动更新] ${holder.command} 正在运行 (PID: ${holder.pid})，跳过本次`);
+            plan(true);
+            return;
+        }
 
-    // 确保 public 目录存在
-    if (!fs.existsSync(publicDir)) {
-        fs.mkdirSync(publicDir, { recursive: true });
-        console.log(`创建目录: ${publicDir}`);
+        console.log(`[自动更新] 开始 update (${new Date().toLocaleString()})`);
+        lastSpawn = new Date();
+        child = spawn(process.execPath, [__filename, 'update', ...updateArgs, ...serviceConfigArgs()], {
+            cwd: __dirname,
+            stdio: 'inherit',
+            env: { ...process.env, AILY_UPDATE_TRIGGER: 'schedule' },
+            windowsHide: true
+        });
+        nextRun = null;
+        writeState();
+
+        let finished = false;
+        const done = (message) => {
+            if (finished) return;
+            finished = true;
+            child = null;
+            console.log(`[自动更新] ${message}`);
+            plan(false);
+        };
+        child.once('error', error => done(`update 启动失败: ${error.message}`));
+        child.once('exit', (code, signal) => done(signal ? `update 被 ${signal} 终止` : `update 结束，退出码 ${code}`));
+    };
+
+    plan(false);
+
+    return {
+        stop() {
+            stopped = true;
+            clearTimeout(timer);
+            fs.rmSync(autoUpdateStatePath, { force: true });
+            if (!child) return Promise.resolve();
+            return new Promise((resolve) => {
+                child.once('exit', resolve);
+                child.kill('SIGTERM');
+            });
+        }
+    };
+}
+
+/**
+ * 前台运行自动更新：按计划定时执行 update
+ * @param {string} spec - 计划（间隔或 cron 表达式）
+ * @param {string[]} updateArgs - 传给 update 的参数
+ */
+function runWatch(spec, updateArgs) {
+    if (!spec) {
+        console.error('错误: 请指定计划');
+        console.log('用法: node cli.js watch <间隔|cron 表达式> [update 参数]');
+        console.log('示例:');
+        console.log('  node cli.js watch 6h');
+        console.log('  node cli.js watch "0 2 * * *" --source git');
+        process.exitCode = 1;
+        return;
     }
 
+    let schedule;
     try {
-        // 1. 从文件清单获取文件列表
-        const files = await fetchManifest(CLOUDFLARE_R2_CONFIG.publicUrl, CLOUDFLARE_R2_CONFIG.manifestFile);
-        
-        if (files.length === 0) {
-            console.log('文件清单为空，没有文件需要下载');
-            return;
-        }
+        schedule = parseSchedule(spec);
+        validateScheduledUpdateArgs(updateArgs, serviceConfig);
+    } catch (error) {
+        console.error(`错误: ${error.message}`);
+        process.exitCode = 1;
+        return;
+    }
+
+    const existing = readAutoUpdateState();
+    if (existing) {
+        console.error(`自动更新已在运行 (PID: ${existing.pid}，计划: ${existing.schedule})`);
+        process.exitCode = 1;
+        return;
+    }
 
-        console.log(`\n共 ${files.length} 个文件在清单中...\n`);
+    console.log(`[自动更新] 计划: ${schedule.spec}${updateArgs.length > 0 ? `，update 参数: ${updateArgs.join(' ')}` : ''}`);
+    const scheduler = createUpdateScheduler(schedule, updateArgs);
+
+    let shuttingDown = false;
+    const shutdown = async (reason) => {
+        if (shuttingDown) return;
+        shuttingDown = true;
+        console.log(`[自动更新] ${reason}，正在停止...`);
+        await scheduler.stop();
+        process.exit(0);
+    };
+    process.on('SIGINT', () => shutdown('收到 SIGINT'));
+    process.on('SIGTERM', () => shutdown('收到 SIGTERM'));
+}
 
-        // 2. 下载所有文件
-        let successCount = 0;
-        let skipCount = 0;
-        let failCount = 0;
+/**
+ * 在后台启动自动更新进程（由 run --auto-update 调用）
+ * @param {string} spec - 计划
+ */
+async function startAutoUpdate(spec) {
+    const existing = readAutoUpdateState();
+    if (existing) {
+        console.log(`自动更新已经在运行中 (PID: ${existing.pid}，计划: ${existing.schedule})`);
+        return;
+    }
 
-        for (let i = 0; i < files.length; i++) {
-            const fileKey = files[i];
-            const fileUrl = `${CLOUDFLARE_R2_CONFIG.publicUrl}/${encodeURIComponent(fileKey).replace(/%2F/g, '/')}`;
-            const destPath = path.join(publicDir, fileKey);
+    try {
+        const pid = await spawnDetached(process.execPath, [__filename, 'watch', spec, ...serviceConfig.autoUpdate.args, ...serviceConfigArgs()], {
+            pidFile: autoUpdatePidFile,
+            logFile: autoUpdateLogFile
+        });
+        console.log(`自动更新已启动 (PID: ${pid}，计划: ${spec})`);
+        console.log(`日志文件: ${autoUpdateLogFile}`);
+    } catch (e) {
+        console.error('启动自动更新失败:', e.message);
+    }
+}
 
-            const progress = `[${i + 1}/${files.length}]`;
+/**
+ * 停止后台自动更新进程（正在运行的 update 会一起停止）
+ * @returns {Promise<boolean>} 是否已停止（未在运行也返回 true）
+ */
+async function stopAutoUpdate() {
+    const pid = readPidFile(autoUpdatePidFile);
+    if (!pid) return true;
 
-            // 检查文件是否已存在（非强制更新模式）
-            if (!forceUpdate && fs.existsSync(destPath)) {
-                console.log(`${progress} 跳过 (已存在): ${fileKey}`);
-                skipCount++;
-                continue;
-            }
-            
-            try {
-                // 进度回调函数，用于显示下载百分比
-                let lastPercent = -1;
-                const onProgress = (downloaded, total, percent) => {
-                    if (percent !== lastPercent) {
-                        lastPercent = percent;
-                        // 使用 \r 回到行首，覆盖之前的进度
-                        process.stdout.write(`\r${progress} 正在下载: ${fileKey}... ${percent}%`);
-                    }
-                };
-                
-                process.stdout.write(`${progress} 正在下载: ${fileKey}... 0%`);
-                await downloadFileToPath(fileUrl, destPath, onProgress);
-                // 清除当前行并显示完成信息
-                process.stdout.write(`\r${progress} ✓ ${fileKey}` + ' '.repeat(20) + '\n');
-                successCount++;
-            } catch (error) {
-                process.stdout.write(`\r${progress} ✗ ${fileKey}: ${error.message}` + ' '.repeat(20) + '\n');
-                failCount++;
-            }
+    console.log(`正在停止自动更新 (PID: ${pid})...`);
+    let stopped = false;
+    try {
+        stopped = await stopProcess(pid, 10000);
+        if (stopped) {
+            console.log('自动更新已停止');
+        } else {
+            console.error(`自动更新未能停止 (PID: ${pid})`);
         }
-
-        console.log('\n========================================');
-        console.log('同步完成!');
-        console.log(`下载成功: ${successCount} 个文件`);
-        console.log(`已跳过: ${skipCount} 个文件`);
-        console.log(`下载失败: ${failCount} 个文件`);
-        console.log(`目标目录: ${publicDir}`);
-        console.log('========================================');
-
-    } catch (error) {
-        console.error(`同步失败: ${error.message}`);
+    } catch (e) {
+        console.error('停止自动更新失败:', e.message);
     }
+    if (stopped) {
+        removePidFile(autoUpdatePidFile);
+        fs.rmSync(autoUpdateStatePath, { force: true });
+    }
+    return stopped;
 }
 
 /**
@@ -1235,7 +5666,7 @@ async function runUnpublish(packageSpec) {
     // 执行 unpublish 命令
     try {
         console.log(`\n正在卸载: ${packageSpec}...`);
-        execSync(`npm unpublish ${packageSpec} --registry http://localhost:4873 --force`, {
+        execSync(`npm unpublish ${packageSpec} --registry ${LOCAL_REGISTRY_URL} --force`, {
             stdio: 'inherit',
             shell: true
         });
@@ -1253,40 +5684,620 @@ async function runUnpublish(packageSpec) {
     console.log('========================================');
 }
 
-// 主命令处理
-switch (command) {
-    case 'run':
-        // 启动Verdaccio
-        (async () => {
-            await startVerdaccio();
-            // 启动静态文件服务器
-            startStaticServer();
-        })();
-        break;
-    case 'update':
-        // 检查是否有 --force 参数
-        const forceUpdate = args.includes('--force') || args.includes('-f');
-        runUpdate(forceUpdate);
-        break;
-    case 'unpublish':
-        runUnpublish(subCommand);
-        break;
-    case 'stop':
-        stopVerdaccio();
-        break;
-    case 'status':
-        showStatus();
-        break;
-    case 'help':
-    case '--help':
-    case '-h':
-        showHelp();
-        break;
-    default:
-        if (!command) {
-            showHelp();
-        } else {
-            console.error(`未知命令: ${command}`);
-            showHelp();
+/**
+ * 读取 config.yaml 中的 Verdaccio 存储目录
+ */
+function getStorageDir() {
+    const config = require('js-yaml').load(fs.readFileSync(configPath, 'utf8')) || {};
+    return path.resolve(path.dirname(configPath), config.storage || './storage');
+}
+
+/**
+ * 列出本地发布到 Verdaccio 的包（storage/.verdaccio-db.json）
+ */
+function listLocalPackages(storageDir) {
+    try {
+        return JSON.parse(fs.readFileSync(path.join(storageDir, '.verdaccio-db.json'), 'utf8')).list || [];
+    } catch (e) {
+        return [];
+    }
+}
+
+/**
+ * 生成 prune 计划：源码仓库中已不存在的包，以及每个包超出保留数量的旧版本
+ * 被 dist-tag 指向的版本、配置中 distTags 固定的版本和 prune.exclude 中的包不会被清理
+ * @param {Object} options
+ * @param {number} options.keep - 每个包保留的最新版本数量
+ * @returns {Promise<Object>} 计划，orphans / versions 中包含每项占用的磁盘空间
+ */
+async function buildPrunePlan(options) {
+    const storageDir = getStorageDir();
+    const plan = { keep: options.keep, orphans: [], versions: [], excluded: [], notes: [], reclaimable: 0 };
+
+    const excludePatterns = serviceConfig.prune.exclude.map(globToRegExp);
+    const isExcluded = spec => excludePatterns.some(pattern => pattern.test(spec));
+    const configuredVersions = new Set();
+    for (const packages of Object.values(serviceConfig.distTags)) {
+        for (const [name, version] of Object.entries(packages)) {
+            configuredVersions.add(`${name}@${version}`);
+        }
+    }
+
+    // 当前源码仓库中的包，任一仓库目录不存在时无法判断，不清理孤立的包
+    let sourceNames = new Set();
+    const missing = REPOS.filter(repo => !fs.existsSync(path.join(reposDir, repo.name))).map(repo => repo.name);
+    if (missing.length > 0) {
+        sourceNames = null;
+        plan.notes.push(`仓库目录不存在: ${missing.join(', ')}，不清理孤立的包（先执行 update 下载仓库）`);
+    } else {
+        // 从离线介质的预构建包发布的包也算作源码中的包
+        const mediaPackages = readUpdateState().mediaPackages || {};
+        for (const repo of REPOS) {
+            for (const { itemPath } of collectPackageDirs(path.join(reposDir, repo.name), () => true, null)) {
+                const name = readPackageName(itemPath);
+                if (name) sourceNames.add(name);
+            }
+            for (const name of mediaPackages[repo.name] || []) {
+                sourceNames.add(name);
+            }
+        }
+    }
+
+    const tarballSize = (name, version, packument) => {
+        const tarball = packument.versions[version].dist && packument.versions[version].dist.tarball;
+        if (!tarball) return 0;
+        try {
+            return fs.statSync(path.join(storageDir, name, path.basename(new URL(tarball).pathname))).size;
+        } catch (e) {
+            return 0;
+        }
+    };
+
+    for (const name of listLocalPackages(storageDir).sort()) {
+        const packument = await fetchPackument(name);
+        if (!packument || !packument.versions) continue;
+        const versions = Object.keys(packument.versions);
+
+        if (isExcluded(name)) {
+            plan.excluded.push({ name, reason: 'prune.exclude' });
+            continue;
+        }
+
+        if (sourceNames && !sourceNames.has(name)) {
+            const pinned = versions.filter(version => configuredVersions.has(`${name}@${version}`));
+            if (pinned.length > 0) {
+                plan.excluded.push({ name, reason: `distTags 固定了版本 ${pinned.join(', ')}` });
+            } else {
+                const size = versions.reduce((sum, version) => sum + tarballSize(name, version, packument), 0);
+                plan.orphans.push({ name, versions: versions.length, size });
+                plan.reclaimable += size;
+            }
+            continue;
+        }
+
+        // 被任一 dist-tag 指向的版本不清理
+        const tagged = new Set(Object.values(packument['dist-tags'] || {}));
+        const sorted = versions.filter(version => semver.valid(version)).sort(semver.rcompare);
+        for (const version of sorted.slice(options.keep)) {
+            const spec = `${name}@${version}`;
+            if (tagged.has(version) || configuredVersions.has(spec)) {
+                plan.excluded.push({ name: spec, reason: 'dist-tag' });
+            } else if (isExcluded(spec)) {
+                plan.excluded.push({ name: spec, reason: 'prune.exclude' });
+            } else {
+                const size = tarballSize(name, version, packument);
+                plan.versions.push({ name, version, size });
+                plan.reclaimable += size;
+            }
+        }
+    }
+    return plan;
+}
+
+/**
+ * 清理 Verdaccio 中源码仓库已删除的包和旧版本
+ * 选项: --keep <N> 每个包保留的版本数，--dry-run 只列出要清理的内容，--json 输出 JSON
+ */
+async function runPrune() {
+    const dryRun = args.includes('--dry-run');
+    const json = args.includes('--json');
+    let keep = serviceConfig.prune.keepVersions;
+    const keepOption = getOption('--keep');
+    if (keepOption !== undefined) {
+        keep = parseInt(keepOption, 10);
+        if (!Number.isInteger(keep) || keep < 1 || String(keep) !== keepOption) {
+            console.error(`错误: --keep 必须是正整数: ${keepOption}`);
+            process.exitCode = 1;
+            return;
+        }
+    }
+    const log = json ? () => { } : console.log;
+
+    try {
+        await waitForVerdaccio(10, 1000);
+    } catch (error) {
+        console.error('Verdaccio 服务未运行，请先执行: node cli.js run');
+        process.exitCode = 1;
+        return;
+    }
+
+    let plan;
+    try {
+        plan = await buildPrunePlan({ keep });
+    } catch (error) {
+        console.error(`生成清理计划失败: ${error.message}`);
+        process.exitCode = 1;
+        return;
+    }
+    plan.dryRun = dryRun;
+    plan.reclaimed = 0;
+    plan.failed = [];
+
+    log('========================================');
+    log(`清理 Verdaccio 仓库${dryRun ? '（--dry-run，不会删除任何内容）' : ''}`);
+    log(`每个包保留最新 ${keep} 个版本`);
+    log('========================================');
+    for (const note of plan.notes) {
+        log(`注意: ${note}`);
+    }
+
+    for (const orphan of plan.orphans) {
+        log(`${dryRun ? '将删除' : '删除'}孤立的包: ${orphan.name}（${orphan.versions} 个版本，${formatSize(orphan.size)}）`);
+    }
+    for (const item of plan.versions) {
+        log(`${dryRun ? '将删除' : '删除'}旧版本: ${item.name}@${item.version}（${formatSize(item.size)}）`);
+    }
+    for (const item of plan.excluded) {
+        log(`保留: ${item.name}（${item.reason}）`);
+    }
+
+    if (!dryRun && (plan.orphans.length > 0 || plan.versions.length > 0)) {
+        // --json 时认证过程的提示写到 stderr，stdout 只输出 JSON
+        const authLogger = json ? { log: console.error, error: console.error } : console;
+        try {
+            const admin = ensureAuthenticated(authLogger);
+            await createLocalNpmrc(admin, authLogger);
+        } catch (error) {
+            console.error('认证配置失败:', error.message);
+            process.exitCode = 1;
+            return;
+        }
+
+        const registryArgs = `--registry ${LOCAL_REGISTRY_URL} --userconfig "${npmrcPath}" --force`;
+        const targets = [
+            ...plan.orphans.map(orphan => ({ spec: orphan.name, size: orphan.size })),
+            ...plan.versions.map(item => ({ spec: `${item.name}@${item.version}`, size: item.size }))
+        ];
+        // 逐个执行，同一个包的多个版本并发卸载会相互覆盖
+        for (const { spec, size } of targets) {
+            const result = await runCommandAsync(`npm unpublish ${spec} ${registryArgs}`, __dirname);
+            if (result.ok) {
+                plan.reclaimed += size;
+                log(`✓ 已删除 ${spec}`);
+            } else {
+                plan.failed.push({ spec, error: result.output.trim() });
+                console.error(`✗ 删除 ${spec} 失败:\n${result.output.trim()}`);
+            }
+        }
+        if (plan.failed.length > 0) {
+            process.exitCode = 1;
+        }
+    }
+
+    if (json) {
+        console.log(JSON.stringify(plan, null, 2));
+        return;
+    }
+    log('\n========================================');
+    log(`孤立的包: ${plan.orphans.length} 个，旧版本: ${plan.versions.length} 个`);
+    if (dryRun) {
+        log(`可释放空间: ${formatSize(plan.reclaimable)}`);
+    } else {
+        log(`已释放空间: ${formatSize(plan.reclaimed)}${plan.failed.length > 0 ? `，失败 ${plan.failed.length} 个` : ''}`);
+    }
+    log('========================================');
+}
+
+/**
+ * 查看或设置包的 dist-tag
+ * @param {string} packageSpec - 包名（查看）或 包名@版本（设置）
+ * @param {string} tag - 标签名
+ */
+async function runTag(packageSpec, tag) {
+    if (!packageSpec) {
+        console.error('错误: 请指定包名');
+        console.log('用法: node cli.js tag <包名>@<版本> <标签>   设置 dist-tag');
+        console.log('      node cli.js tag <包名>                查看 dist-tag');
+        console.log('示例:');
+        console.log('  node cli.js tag @aily/arduino_uno@1.0.0 classroom-2026');
+        process.exitCode = 1;
+        return;
+    }
+
+    const index = packageSpec.lastIndexOf('@');
+    const name = index > 0 ? packageSpec.slice(0, index) : packageSpec;
+    const version = index > 0 ? packageSpec.slice(index + 1) : null;
+
+    if (version && !tag) {
+        console.error('错误: 请指定标签名');
+        process.exitCode = 1;
+        return;
+    }
+    if (tag && (!DIST_TAG_PATTERN.test(tag) || semver.validRange(tag))) {
+        console.error(`错误: 无效的标签名: ${tag}（不能是版本号或版本范围）`);
+        process.exitCode = 1;
+        return;
+    }
+
+    try {
+        await waitForVerdaccio(10, 1000);
+    } catch (error) {
+        console.error('Verdaccio 服务未运行，请先执行: node cli.js run');
+        process.exitCode = 1;
+        return;
+    }
+
+    let packument;
+    try {
+        packument = await fetchPackument(name);
+    } catch (error) {
+        console.error(error.message);
+        process.exitCode = 1;
+        return;
+    }
+    if (!packument) {
+        console.error(`包不存在: ${name}`);
+        process.exitCode = 1;
+        return;
+    }
+
+    if (!version) {
+        for (const [distTag, tagVersion] of Object.entries(packument['dist-tags'] || {})) {
+            console.log(`${distTag}: ${tagVersion}`);
+        }
+        return;
+    }
+
+    if (!packument.versions || !packument.versions[version]) {
+        console.error(`版本未发布: ${name}@${version}`);
+        process.exitCode = 1;
+        return;
+    }
+
+    try {
+        const admin = ensureAuthenticated();
+        await createLocalNpmrc(admin);
+    } catch (error) {
+        console.error('认证配置失败:', error.message);
+        process.exitCode = 1;
+        return;
+    }
+
+    const result = await addDistTag(name, version, tag);
+    if (!result.ok) {
+        console.error(`✗ 设置 dist-tag 失败:\n${result.output.trim()}`);
+        process.exitCode = 1;
+        return;
+    }
+    console.log(`✓ ${name}@${version} -> ${tag}`);
+
+    const configured = (serviceConfig.distTags[tag] || {})[name];
+    if (configured && configured !== version) {
+        console.warn(`注意: 配置中的 distTags.${tag} 将 ${name} 指向 ${configured}，下次 update 时会恢复为该版本`);
+    }
+}
+
+/**
+ * 管理发布账号
+ * @param {string} action - add | remove | passwd | list
+ * @param {string} username - 用户名
+ */
+function runUser(action, username) {
+    const admin = serviceConfig.user.username;
+    const usage = () => {
+        console.log('用法:');
+        console.log('  node cli.js user add <用户名> [--password <密码>]');
+        console.log('  node cli.js user remove <用户名>');
+        console.log('  node cli.js user passwd <用户名> [--password <密码>]');
+        console.log('  node cli.js user list');
+    };
+
+    if (action === 'list') {
+        const entries = readHtpasswd();
+        if (entries.length === 0) {
+            console.log('htpasswd 中没有用户');
+            return;
+        }
+        console.log(`共 ${entries.length} 个用户:`);
+        for (const entry of entries) {
+            // 只输出用户名和哈希算法，不输出任何密码或哈希内容
+            const algorithm = /^\$2[aby]\$/.test(entry.hash) ? 'bcrypt' : entry.hash.startsWith('{SHA}') ? 'SHA1（旧格式，建议重设密码）' : '未知';
+            const role = entry.username === admin ? ' [管理员]' : '';
+            console.log(`  ${entry.username}${role}  算法: ${algorithm}  ${entry.comment}`);
+        }
+        return;
+    }
+
+    if (!['add', 'remove', 'passwd'].includes(action) || !username) {
+        console.error(action ? `错误: 无效的参数` : '错误: 请指定操作');
+        usage();
+        process.exitCode = 1;
+        return;
+    }
+    if (!/^[A-Za-z0-9._-]+$/.test(username)) {
+        console.error(`错误: 用户名只能包含字母、数字、点、下划线和连字符: ${username}`);
+        process.exitCode = 1;
+        return;
+    }
+
+    const exists = readHtpasswd().some(e => e.username === username);
+
+    if (action === 'remove') {
+        if (username === admin) {
+            console.error(`错误: 不能删除管理员账号 ${admin}`);
+            process.exitCode = 1;
+            return;
+        }
+        if (!exists) {
+            console.error(`错误: 用户 ${username} 不存在`);
+            process.exitCode = 1;
+            return;
+        }
+        writeHtpasswd(readHtpasswd().filter(e => e.username !== username));
+        console.log(`用户 ${username} 已删除`);
+        return;
+    }
+
+    if (action === 'add' && exists) {
+        console.error(`错误: 用户 ${username} 已存在，修改密码请使用: node cli.js user passwd ${username}`);
+        process.exitCode = 1;
+        return;
+    }
+    if (action === 'passwd' && !exists) {
+        console.error(`错误: 用户 ${username} 不存在`);
+        process.exitCode = 1;
+        return;
+    }
+    if (action === 'passwd' && username === admin && serviceConfig.user.password) {
+        console.error('错误: 管理员密码由服务配置文件中的 user.password 指定，请修改配置文件');
+        process.exitCode = 1;
+        return;
+    }
+
+    const givenPassword = getOption('--password');
+    const password = givenPassword || generatePassword();
+    setHtpasswdUser(username, password, 'created');
+    if (username === admin) {
+        saveAdminPassword(username, password);
+        console.log('管理员密码已更新，下次执行 run 或 update 时会重新生成 .npmrc');
+    }
+
+    console.log(`用户 ${username} 已${action === 'add' ? '创建' : '更新密码'}`);
+    if (!givenPassword) {
+        // 随机密码只显示这一次
+        console.log(`密码: ${password}`);
+        console.log('请妥善保存该密码，之后将无法再次查看');
+    }
+}
+
+/**
+ * 回滚仓库到上一个快照（恢复 repos/<name> 和对应的 public 文件）
+ * 未指定仓库时回滚最近一次 update 替换的所有仓库
+ * @param {string} [repoName] - 仓库名
+ */
+function runRollback(repoName) {
+    const names = REPOS.map(repo => repo.name);
+    const lockHolder = !args.includes('--list') && acquireUpdateLock('rollback');
+    if (lockHolder) {
+        console.error(`${lockHolder.command} 正在运行 (PID: ${lockHolder.pid})，请等待其完成后再回滚`);
+        process.exitCode = 1;
+        return;
+    }
+
+    if (args.includes('--list')) {
+        for (const name of names) {
+            const snapshots = listSnapshots(name);
+            console.log(`${name}: ${snapshots.length === 0 ? '没有快照' : ''}`);
+            for (const snapshot of snapshots) {
+                const revision = snapshot.revision ? ` 版本 ${snapshot.revision.slice(0, 12)}` : '';
+                console.log(`  ${snapshot.id}${revision}  public 文件 ${snapshot.publicFiles.length} 个`);
+            }
+        }
+        return;
+    }
+
+    let targets;
+    if (repoName) {
+        if (!names.includes(repoName)) {
+            console.error(`未知的仓库: ${repoName}（可选: ${names.join(', ')}）`);
+            process.exitCode = 1;
+            return;
+        }
+        const [snapshot] = listSnapshots(repoName);
+        if (!snapshot) {
+            console.error(`仓库 ${repoName} 没有可回滚的快照`);
+            process.exitCode = 1;
+            return;
+        }
+        targets = [{ name: repoName, snapshot }];
+    } else {
+        const latest = names.map(name => ({ name, snapshot: listSnapshots(name)[0] })).filter(t => t.snapshot);
+        if (latest.length === 0) {
+            console.error('没有可回滚的快照');
+            process.exitCode = 1;
+            return;
+        }
+        // 最近一次 update 的快照 ID 相同
+        const latestId = latest.map(t => t.snapshot.id).sort().pop();
+        targets = latest.filter(t => t.snapshot.id === latestId);
+    }
+
+    for (const { name, snapshot } of targets) {
+        try {
+            restoreSnapshot(name, snapshot);
+            const revision = snapshot.revision ? `（版本 ${snapshot.revision.slice(0, 12)}）` : '';
+            console.log(`已回滚 ${name} 到快照 ${snapshot.id}${revision}，恢复 public 文件 ${snapshot.publicFiles.length} 个`);
+        } catch (error) {
+            console.error(`回滚 ${name} 失败: ${error.message}`);
+            process.exitCode = 1;
+        }
+    }
+    console.log('已发布到 Verdaccio 的包不会被回滚');
+}
+
+/**
+ * 处理异步命令中未预料的错误：输出一行错误信息并以非零状态退出，而不是未处理的 rejection
+ * @param {string} name - 命令名
+ * @param {Promise} promise - 命令的执行结果
+ */
+function handleCommandErrors(name, promise) {
+    promise.catch((error) => {
+        console.error(`${name} 失败: ${error.message}`);
+        process.exitCode = 1;
+    });
+}
+
+/**
+ * 主命令处理
+ */
+function main() {
+    switch (command) {
+        case 'run': {
+            // 自动更新计划，命令行参数优先于配置文件
+            const autoUpdate = getOption('--auto-update') || serviceConfig.autoUpdate.schedule;
+            if (autoUpdate) {
+                try {
+                    parseSchedule(autoUpdate);
+                } catch (error) {
+                    console.error(`错误: --auto-update ${error.message}`);
+                    process.exitCode = 1;
+                    break;
+                }
+            }
+            if (args.includes('--foreground')) {
+                // 前台模式：单进程运行两个服务
+                runForeground(autoUpdate);
+                break;
+            }
+            // 启动Verdaccio
+            handleCommandErrors('run', (async () => {
+                await startVerdaccio();
+                // 启动静态文件服务器
+                await startStaticServer();
+                if (autoUpdate) {
+                    await startAutoUpdate(autoUpdate);
+                }
+            })());
+            break;
+        }
+        case 'watch':
+            // 前台按计划定时执行 update，计划之后的参数传给 update
+            runWatch(subCommand, args.slice(2));
+            break;
+        case 'static-server':
+            // 内部命令：由 run 启动的后台静态文件服务器进程
+            serveStatic().catch((error) => {
+                console.error('静态文件服务器启动失败:', error.message);
+                process.exit(1);
+            });
+            break;
+        case 'update': {
+            let updateOptions;
+            try {
+                updateOptions = parseUpdateOptions();
+            } catch (error) {
+                console.error(`错误: ${error.message}`);
+                process.exitCode = 1;
+                break;
+            }
+            if (updateOptions.dryRun) {
+                buildUpdatePlan(updateOptions).then((plan) => {
+                    if (updateOptions.json) {
+                        console.log(JSON.stringify(plan, null, 2));
+                    } else {
+                        printUpdatePlan(plan);
+                    }
+                }).catch((error) => {
+                    console.error(`生成执行计划失败: ${error.message}`);
+                    process.exitCode = 1;
+                });
+                break;
+            }
+            const lockHolder = acquireUpdateLock('update');
+            if (lockHolder) {
+                console.error(`${lockHolder.command} 正在运行 (PID: ${lockHolder.pid}，开始于 ${new Date(lockHolder.startedAt).toLocaleString()})，请等待其完成`);
+                process.exitCode = UPDATE_EXIT_CODES.aborted;
+                break;
+            }
+            runUpdate(updateOptions).then((report) => {
+                process.exitCode = UPDATE_EXIT_CODES[report.status];
+                try {
+                    writeUpdateReport(report, updateOptions.report, updateOptions.html);
+                    saveLastUpdateRun(report, process.env.AILY_UPDATE_TRIGGER === 'schedule' ? 'schedule' : 'manual', updateOptions.report);
+                } catch (error) {
+                    console.error(`写入 update 报告失败: ${error.message}`);
+                    process.exitCode = process.exitCode || UPDATE_EXIT_CODES.failed;
+                }
+            }).catch((error) => {
+                console.error(`update 失败: ${error.message}`);
+                process.exitCode = UPDATE_EXIT_CODES.aborted;
+            });
+            break;
         }
+        case 'sync':
+            handleCommandErrors('sync', runSyncCommand());
+            break;
+        case 'export':
+            handleCommandErrors('export', runExport(subCommand));
+            break;
+        case 'import':
+            handleCommandErrors('import', runImport(subCommand));
+            break;
+        case 'unpublish':
+            handleCommandErrors('unpublish', runUnpublish(subCommand));
+            break;
+        case 'user':
+            runUser(subCommand, args[2]);
+            break;
+        case 'tag':
+            handleCommandErrors('tag', runTag(subCommand, args[2]));
+            break;
+        case 'prune':
+            handleCommandErrors('prune', runPrune());
+            break;
+        case 'rollback':
+            runRollback(subCommand && !subCommand.startsWith('--') ? subCommand : undefined);
+            break;
+        case 'stop':
+            handleCommandErrors('stop', stopVerdaccio().then((stopped) => {
+                if (!stopped) process.exitCode = 1;
+            }));
+            break;
+        case 'status':
+            showStatus();
+            break;
+        case 'help':
+        case '--help':
+        case '-h':
+            showHelp();
+            break;
+        default:
+            if (!command) {
+                showHelp();
+            } else {
+                console.error(`未知命令: ${command}`);
+                showHelp();
+            }
+    }
 }
+
+// 作为命令行执行时处理命令；被 require 时（如测试）只导出下面的函数
+if (require.main === module) {
+    main();
+}
+
+module.exports = {
+    parseSchedule,
+    getNextRunTime,
+    extractZip
+};
@@ -0,0 +1,840 @@
+/**
+ * 静态文件服务器：提供 public/ 中的资源、目录查询接口，并记录访问日志
+ *
+ * 用法：
+ *   const { createStaticServer } = require('./lib/static-server');
+ *   const server = createStaticServer({ root: publicDir, ...serviceConfig.staticServer });
+ *   server.listen(4874);
+ */
+
+const path = require('path');
+const fs = require('fs');
+const http = require('http');
+const semver = require('semver');
+const { globToRegExp, parseSize } = require('./utils');
+
+/**
+ * 输出错误日志（包含调用栈），后台运行时写入 static-server.log
+ * @param {string} message
+ * @param {Error} error
+ */
+function logError(message, error) {
+    console.error(`[${new Date().toISOString()}] ${message}\n${error.stack || error}`);
+}
+
+const MIME_TYPES = {
+    '.html': 'text/html',
+    '.js': 'application/javascript',
+    '.css': 'text/css',
+    '.json': 'application/json',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.svg': 'image/svg+xml',
+    '.ico': 'image/x-icon',
+    '.webp': 'image/webp',
+    '.woff': 'font/woff',
+    '.woff2': 'font/woff2',
+    '.ttf': 'font/ttf',
+    '.txt': 'text/plain',
+    '.xml': 'application/xml',
+    '.pdf': 'application/pdf',
+    '.zip': 'application/zip'
+};
+
+/**
+ * 按路径前缀查找 Cache-Control，最长的前缀优先
+ * @param {Object} rules - { 路径前缀: Cache-Control }
+ * @param {string} pathname - 请求路径
+ * @returns {string|null}
+ */
+function getCacheControl(rules, pathname) {
+    let matched = null;
+    for (const prefix of Object.keys(rules || {})) {
+        if (pathname.startsWith(prefix) && (matched === null || prefix.length > matched.length)) {
+            matched = prefix;
+        }
+    }
+    return matched === null ? null : rules[matched];
+}
+
+/**
+ * 解析 Range 请求头，只支持单个范围（bytes=0-99、bytes=100-、bytes=-100）
+ * @param {string} header - Range 请求头
+ * @param {number} size - 文件大小
+ * @returns {{start: number, end: number}|null|false} null 表示忽略 Range 返回完整内容，false 表示范围无法满足
+ */
+function parseRange(header, size) {
+    const match = /^bytes=(\d*)-(\d*)$/.exec(header.trim());
+    if (!match || (match[1] === '' && match[2] === '')) return null;
+
+    let start;
+    let end = size - 1;
+    if (match[1] === '') {
+        // 最后 N 个字节
+        const suffix = parseInt(match[2], 10);
+        if (suffix === 0) return false;
+        start = Math.max(size - suffix, 0);
+    } else {
+        start = parseInt(match[1], 10);
+        if (match[2] !== '') {
+            const last = parseInt(match[2], 10);
+            if (last < start) return null;
+            end = Math.min(last, size - 1);
+        }
+    }
+    return start < size ? { start, end } : false;
+}
+
+/**
+ * 判断条件请求是否可以返回 304：If-None-Match 优先，其次 If-Modified-Since
+ * @param {http.IncomingMessage} req
+ * @param {string} etag - 当前文件的 ETag
+ * @param {Date} mtime - 文件修改时间
+ */
+function isNotModified(req, etag, mtime) {
+    const noneMatch = req.headers['if-none-match'];
+    if (noneMatch) {
+        return noneMatch.trim() === '*' || noneMatch.split(',').some(tag => tag.trim().replace(/^W\//, '') === etag);
+    }
+    const modifiedSince = Date.parse(req.headers['if-modified-since'] || '');
+    // HTTP 日期精确到秒
+    return !isNaN(modifiedSince) && Math.floor(mtime.getTime() / 1000) * 1000 <= modifiedSince;
+}
+
+/**
+ * 生成跨域响应头，来源不在 staticServer.cors.origins 中时返回空对象
+ * @param {Object} [cors] - staticServer.cors
+ * @param {string} [origin] - 请求的 Origin 头
+ * @returns {Object}
+ */
+function getCorsHeaders(cors, origin) {
+    if (!cors || cors.origins.length === 0) return {};
+    if (cors.origins.includes('*')) {
+        return origin ? { 'Access-Control-Allow-Origin': '*' } : {};
+    }
+    if (!origin || !cors.origins.some(pattern => globToRegExp(pattern).test(origin))) {
+        // 响应因 Origin 而不同，缓存需要区分
+        return { 'Vary': 'Origin' };
+    }
+    return { 'Access-Control-Allow-Origin': origin, 'Vary': 'Origin' };
+}
+
+/**
+ * 合并所有匹配请求路径的自定义响应头，后配置的优先
+ * @param {Object} [rules] - staticServer.headers，{ 路径通配符: { 响应头: 值 } }
+ * @param {string} pathname - 请求路径
+ * @returns {Object}
+ */
+function getCustomHeaders(rules, pathname) {
+    const headers = {};
+    for (const [pattern, values] of Object.entries(rules || {})) {
+        if (globToRegExp(pattern.replace(/\/$/, '/*')).test(pathname)) {
+            Object.assign(headers, values);
+        }
+    }
+    return headers;
+}
+
+// 预先压缩的文件扩展名，与原文件放在同一目录（如 boards.json.br）
+const COMPRESSED_EXTENSIONS = { br: '.br', gzip: '.gz' };
+
+/**
+ * 文件类型是否值得压缩（zip、图片等已经压缩过的不再压缩）
+ * @param {string} contentType
+ */
+function isCompressible(contentType) {
+    return /^text\/|^application\/(json|javascript|xml)$|^image\/svg\+xml$/.test(contentType);
+}
+
+/**
+ * 按 Accept-Encoding 返回客户端可接受的压缩编码，br 优先于 gzip
+ * @param {string} [header] - Accept-Encoding 请求头
+ * @returns {string[]}
+ */
+function parseAcceptEncoding(header) {
+    const qualities = {};
+    for (const part of String(header || '').toLowerCase().split(',')) {
+        const [name, ...params] = part.split(';').map(item => item.trim());
+        if (!name) continue;
+        const q = params.map(param => /^q=([\d.]+)$/.exec(param)).find(Boolean);
+        qualities[name] = q ? parseFloat(q[1]) : 1;
+    }
+    return Object.keys(COMPRESSED_EXTENSIONS).filter(name => (qualities[name] ?? qualities['*'] ?? 0) > 0);
+}
+
+/**
+ * 创建动态压缩结果的缓存，超过上限时淘汰最久未使用的条目
+ * 同一文件同时被多个客户端请求时只压缩一次
+ * @param {number} maxSize - 缓存上限（字节）
+ * @returns {function(string, string, string): Promise<Buffer>} (文件路径, 编码, ETag) => 压缩后的内容
+ */
+function createCompressionCache(maxSize) {
+    const zlib = require('zlib');
+    const cache = new Map();
+    let cacheSize = 0;
+
+    const remove = (key) => {
+        cacheSize -= cache.get(key).size;
+        cache.delete(key);
+    };
+
+    return (filePath, encoding, etag) => {
+        const key = `${encoding}:${filePath}`;
+        const cached = cache.get(key);
+        if (cached && cached.etag === etag) {
+            // 移到末尾，表示最近使用
+            cache.delete(key);
+            cache.set(key, cached);
+            return cached.promise;
+        }
+        if (cached) remove(key);
+
+        const promise = fs.promises.readFile(filePath).then(data => new Promise((resolve, reject) => {
+            const done = (err, result) => (err ? reject(err) : resolve(result));
+            if (encoding === 'br') {
+                // 动态压缩使用中等质量，预先压缩时才用最高质量
+                zlib.brotliCompress(data, { params: { [zlib.constants.BROTLI_PARAM_QUALITY]: 6, [zlib.constants.BROTLI_PARAM_SIZE_HINT]: data.length } }, done);
+            } else {
+                zlib.gzip(data, done);
+            }
+        }));
+        const entry = { etag, promise, size: 0 };
+        cache.set(key, entry);
+        promise.then((body) => {
+            if (cache.get(key) !== entry) return;
+            entry.size = body.length;
+            cacheSize += body.length;
+            for (const oldKey of cache.keys()) {
+                if (cacheSize <= maxSize) break;
+                if (cache.get(oldKey).size > 0) remove(oldKey);
+            }
+        }, () => {
+            if (cache.get(key) === entry) cache.delete(key);
+        });
+        return promise;
+    };
+}
+
+// 目录 API 读取的文件（public 目录下）
+const CATALOG_FILES = { boards: 'boards.json', libraries: 'libraries.json' };
+// 目录 API 的 q 参数搜索的字段
+const CATALOG_SEARCH_FIELDS = ['name', 'nickname', 'description', 'brand', 'author', 'keywords', 'tags'];
+// 目录 API 的 sort 参数可用的字段
+const CATALOG_SORT_FIELDS = ['name', 'nickname', 'brand', 'author'];
+
+/**
+ * 创建 JSON 文件读取缓存，文件大小或修改时间变化后才重新解析
+ * 文件正在被 update / sync 覆盖、解析失败时返回上一次成功解析的内容
+ * @returns {function(string): *} 文件不存在时返回 null
+ */
+function createJsonFileCache() {
+    const cache = new Map();
+    return (filePath) => {
+        let stats;
+        try {
+            stats = fs.statSync(filePath);
+        } catch (e) {
+            cache.delete(filePath);
+            return null;
+        }
+        const cached = cache.get(filePath);
+        if (cached && cached.mtimeMs === stats.mtimeMs && cached.size === stats.size) {
+            return cached.data;
+        }
+        try {
+            const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+            cache.set(filePath, { mtimeMs: stats.mtimeMs, size: stats.size, data });
+            return data;
+        } catch (error) {
+            if (cached) return cached.data;
+            throw error;
+        }
+    };
+}
+
+/**
+ * 把字段值转为小写字符串列表（字段可能是字符串、数组或不存在）
+ */
+function getCatalogValues(entry, field) {
+    const value = entry[field];
+    return (Array.isArray(value) ? value : [value])
+        .filter(item => typeof item === 'string' || typeof item === 'number')
+        .map(item => String(item).toLowerCase());
+}
+
+/**
+ * 计算目录条目与搜索词的匹配度，0 表示不匹配
+ * 所有搜索词都要出现在 CATALOG_SEARCH_FIELDS 中的某个字段里；名称完全相同或以搜索词开头的排在前面
+ * @param {Object} entry - 目录条目
+ * @param {string[]} terms - 小写的搜索词
+ * @returns {number}
+ */
+function scoreCatalogEntry(entry, terms) {
+    const texts = CATALOG_SEARCH_FIELDS.flatMap(field => getCatalogValues(entry, field));
+    if (!terms.every(term => texts.some(text => text.includes(term)))) return 0;
+    const query = terms.join(' ');
+    const names = [...getCatalogValues(entry, 'name'), ...getCatalogValues(entry, 'nickname')];
+    const shortNames = names.map(name => name.replace(/^@[^/]+\//, ''));
+    if (names.includes(query) || shortNames.includes(query)) return 4;
+    if (shortNames.some(name => name.startsWith(query))) return 3;
+    if (shortNames.some(name => name.includes(query))) return 2;
+    return 1;
+}
+
+/**
+ * 创建目录查询接口：/api/boards、/api/boards/<包名>、/api/libraries、/api/libraries/<包名>
+ * 列表支持 q（搜索）、category、brand、board（只返回兼容该开发板的库）、sort、order、page、pageSize 参数
+ * 返回的条目附加本地 Verdaccio 中已发布的版本（versions、latest），开发板附加图片地址（image）
+ * @param {string} rootDir - 静态文件根目录
+ * @param {string} storageDir - Verdaccio 存储目录
+ * @param {Object} options - staticServer.catalog
+ * @returns {function(http.IncomingMessage, http.ServerResponse, Object): boolean} 请求处理函数，处理 /api/ 下的请求
+ */
+function createCatalogApi(rootDir, storageDir, options) {
+    const readJson = createJsonFileCache();
+
+    const send = (req, res, statusCode, body) => {
+        const data = JSON.stringify(body);
+        res.writeHead(statusCode, {
+            'Content-Type': 'application/json; charset=utf-8',
+            'Content-Length': Buffer.byteLength(data),
+            'Cache-Control': 'no-cache'
+        });
+        res.end(req.method === 'HEAD' ? undefined : data);
+    };
+
+    const readCatalog = (type) => {
+        const data = readJson(path.join(rootDir, CATALOG_FILES[type]));
+        if (data === null) return [];
+        if (!Array.isArray(data)) {
+            throw new Error(`${CATALOG_FILES[type]} 格式无效（应为数组）`);
+        }
+        return data.filter(entry => entry && typeof entry === 'object' && typeof entry.name === 'string');
+    };
+
+    // Verdaccio 中的包信息，返回已发布的版本（新的在前）和 latest
+    const readPublished = (name) => {
+        let packument;
+        try {
+            packument = readJson(path.join(storageDir, name, 'package.json'));
+        } catch (e) {
+            packument = null;
+        }
+        if (!packument || !packument.versions) return { versions: [], latest: null };
+        const versions = Object.keys(packument.versions).filter(version => semver.valid(version)).sort(semver.rcompare);
+        return { versions, latest: (packument['dist-tags'] && packument['dist-tags'].latest) || versions[0] || null };
+    };
+
+    // 开发板图片按 imgs/boards/<目录名>/board.webp 存放，目录名一般是去掉作用域和 board- 前缀的包名
+    const findBoardImage = (name) => {
+        const baseName = name.replace(/^@[^/]+\//, '');
+        for (const dir of new Set([baseName.replace(/^board-/, ''), baseName])) {
+            if (fs.existsSync(path.join(rootDir, 'imgs', 'boards', dir, 'board.webp'))) {
+                return `/imgs/boards/${encodeURIComponent(dir)}/board.webp`;
+            }
+        }
+        return null;
+    };
+
+    const enrich = (type, entry) => {
+        const result = { ...entry, ...readPublished(entry.name) };
+        if (type === 'boards') {
+            result.image = findBoardImage(entry.name);
+        }
+        return result;
+    };
+
+    const list = (req, res, type, params) => {
+        let entries = readCatalog(type);
+
+        const category = (params.get('category') || '').toLowerCase();
+        if (category) {
+            entries = entries.filter(entry => getCatalogValues(entry, 'category').includes(category));
+        }
+        const brand = (params.get('brand') || '').toLowerCase();
+        if (brand) {
+            entries = entries.filter(entry => getCatalogValues(entry, 'brand').includes(brand));
+        }
+        const boardName = params.get('board');
+        if (type === 'libraries' && boardName) {
+            // board 可以是开发板包名或内核（如 arduino:avr）；没有声明 compatibility.core 的库兼容所有开发板
+            const board = readCatalog('boards').find(entry => entry.name === boardName);
+            const core = board ? board.core : boardName;
+            entries = entries.filter((entry) => {
+                const cores = (entry.compatibility && entry.compatibility.core) || [];
+                return !Array.isArray(cores) || cores.length === 0 || cores.includes(core);
+            });
+        }
+
+        const terms = (params.get('q') || '').toLowerCase().split(/\s+/).filter(Boolean);
+        let scored = entries.map(entry => ({ entry, score: terms.length > 0 ? scoreCatalogEntry(entry, terms) : 0 }));
+        if (terms.length > 0) {
+            scored = scored.filter(item => item.score > 0);
+        }
+
+        const sort = params.get('sort');
+        if (sort && !CATALOG_SORT_FIELDS.includes(sort)) {
+            send(req, res, 400, { error: `sort 只能是 ${CATALOG_SORT_FIELDS.join(' / ')}` });
+            return;
+        }
+        const direction = params.get('order') === 'desc' ? -1 : 1;
+        if (sort) {
+            const key = item => String(item.entry[sort] || '');
+            scored.sort((a, b) => direction * key(a).localeCompare(key(b), 'zh-CN'));
+        } else if (terms.length > 0) {
+            // 没有指定排序时按匹配度排序，匹配度相同的保持文件中的顺序
+            scored.sort((a, b) => b.score - a.score);
+        }
+
+        const page = parseInt(params.get('page') || '1', 10);
+        const pageSize = parseInt(params.get('pageSize') || String(options.pageSize), 10);
+        if (!(page >= 1) || !(pageSize >= 1)) {
+            send(req, res, 400, { error: 'page 和 pageSize 必须是正整数' });
+            return;
+        }
+        const size = Math.min(pageSize, options.maxPageSize);
+        send(req, res, 200, {
+            total: scored.length,
+            page,
+            pageSize: size,
+            items: scored.slice((page - 1) * size, page * size).map(item => enrich(type, item.entry))
+        });
+    };
+
+    return (req, res, { pathname, url }) => {
+        if (pathname !== '/api' && !pathname.startsWith('/api/')) return false;
+        const match = /^\/api\/(boards|libraries)(?:\/(.+))?$/.exec(pathname.replace(/\/$/, ''));
+        if (!match) {
+            send(req, res, 404, { error: 'Not Found' });
+            return true;
+        }
+        const [, type, name] = match;
+        try {
+            if (!name) {
+                list(req, res, type, url.searchParams);
+                return true;
+            }
+            const entry = readCatalog(type).find(item => item.name === name);
+            if (entry) {
+                send(req, res, 200, enrich(type, entry));
+            } else {
+                send(req, res, 404, { error: `未找到: ${name}` });
+            }
+        } catch (error) {
+            logError(`目录查询失败: ${req.url}`, error);
+            send(req, res, 500, { error: error.message });
+        }
+        return true;
+    };
+}
+
+const LOG_MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+/**
+ * 生成访问日志中的时间，格式与 Apache / nginx 相同，如 10/Oct/2026:13:55:36 +0800
+ * @param {Date} date
+ */
+function formatLogDate(date) {
+    const pad = value => String(value).padStart(2, '0');
+    const offset = -date.getTimezoneOffset();
+    const zone = `${offset >= 0 ? '+' : '-'}${pad(Math.floor(Math.abs(offset) / 60))}${pad(Math.abs(offset) % 60)}`;
+    return `${pad(date.getDate())}/${LOG_MONTHS[date.getMonth()]}/${date.getFullYear()}:`
+        + `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())} ${zone}`;
+}
+
+/**
+ * 生成一行访问日志
+ * common / combined 与 Apache、nginx 的同名格式相同，json 每行一个 JSON 对象
+ * @param {string} format - common / combined / json
+ * @param {Object} entry - 请求信息
+ * @returns {string}
+ */
+function formatAccessLog(format, entry) {
+    if (format === 'json') {
+        return JSON.stringify(entry);
+    }
+    const quote = value => `"${String(value || '-').replace(/["\\]/g, '\\$&')}"`;
+    const request = `${entry.method} ${entry.url} HTTP/${entry.httpVersion}`;
+    let line = `${entry.remoteAddress || '-'} - - [${formatLogDate(new Date(entry.time))}] ${quote(request)} ${entry.status} ${entry.bytes || '-'}`;
+    if (format === 'combined') {
+        line += ` ${quote(entry.referer)} ${quote(entry.userAgent)}`;
+    }
+    return line;
+}
+
+/**
+ * 创建按大小轮转的日志文件
+ * 文件超过 maxSize 时改名为 <文件>.1，原有的 .1 改名为 .2，以此类推，最多保留 maxFiles 个旧文件
+ * @param {string} filePath - 日志文件路径
+ * @param {Object} options
+ * @param {number} options.maxSize - 单个文件的大小上限（字节）
+ * @param {number} options.maxFiles - 保留的旧文件数量，0 表示不保留
+ * @returns {{write: function(string): void, close: function(): void}}
+ */
+function createRotatingLog(filePath, options) {
+    let fd = null;
+    let size = 0;
+
+    const open = () => {
+        fd = fs.openSync(filePath, 'a');
+        size = fs.fstatSync(fd).size;
+    };
+
+    // 先关闭文件再改名，Windows 上不能重命名打开中的文件
+    const rotate = () => {
+        fs.closeSync(fd);
+        fd = null;
+        fs.rmSync(`${filePath}.${options.maxFiles}`, { force: true });
+        for (let i = options.maxFiles - 1; i >= 1; i--) {
+            if (fs.existsSync(`${filePath}.${i}`)) {
+                fs.renameSync(`${filePath}.${i}`, `${filePath}.${i + 1}`);
+            }
+        }
+        if (options.maxFiles > 0) {
+            fs.renameSync(filePath, `${filePath}.1`);
+        } else {
+            fs.rmSync(filePath, { force: true });
+        }
+        open();
+    };
+
+    return {
+        write(line) {
+            const data = Buffer.from(line + '\n');
+            try {
+                if (fd === null) open();
+                if (size > 0 && size + data.length > options.maxSize) rotate();
+                fs.writeSync(fd, data);
+                size += data.length;
+            } catch (error) {
+                // 日志写入失败（如磁盘已满）不影响提供文件
+                logError(`写入日志失败: ${filePath}`, error);
+            }
+        },
+        close() {
+            if (fd !== null) {
+                fs.closeSync(fd);
+                fd = null;
+            }
+        }
+    };
+}
+
+/**
+ * 创建访问日志，请求结束（或客户端中断）时写入一行
+ * @param {Object} options - staticServer.accessLog，file 为 null 时输出到标准输出
+ * @returns {{log: function(http.IncomingMessage, http.ServerResponse): void, close: function(): void}}
+ */
+function createAccessLog(options) {
+    const output = options.file
+        ? createRotatingLog(options.file, { maxSize: parseSize(options.maxSize), maxFiles: options.maxFiles })
+        : { write: line => process.stdout.write(line + '\n'), close: () => { } };
+
+    return {
+        log(req, res) {
+            const startTime = Date.now();
+            const remoteAddress = req.socket.remoteAddress;
+            let logged = false;
+
+            // 按连接上写出的字节数统计（包括响应头，客户端中途断开时为已发送的部分）
+            // 保留 socket 引用，响应结束后 res.socket 会被置空
+            const socket = req.socket;
+            const startBytes = socket.bytesWritten;
+
+            // 响应发送完毕触发 finish；客户端中途断开时只触发 close
+            const done = (aborted) => {
+                if (logged) return;
+                logged = true;
+                output.write(formatAccessLog(options.format, {
+                    time: new Date(startTime).toISOString(),
+                    remoteAddress,
+                    method: req.method,
+                    url: req.url,
+                    httpVersion: req.httpVersion,
+                    status: res.statusCode,
+                    bytes: socket.bytesWritten - startBytes,
+                    durationMs: Date.now() - startTime,
+                    referer: req.headers.referer || null,
+                    userAgent: req.headers['user-agent'] || null,
+                    aborted
+                }));
+            };
+            res.once('finish', () => done(false));
+            res.once('close', () => done(true));
+        },
+        close: () => output.close()
+    };
+}
+
+/**
+ * 发送文件时出错（客户端中断下载除外）记录错误日志
+ */
+function onPipelineDone(filePath) {
+    return (error) => {
+        if (error && error.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+            logError(`发送文件失败: ${filePath}`, error);
+        }
+    };
+}
+
+/**
+ * 处理跨域响应头、OPTIONS 预检请求，拒绝 GET / HEAD / OPTIONS 以外的方法
+ * @param {Object} [cors] - staticServer.cors
+ */
+function createCorsHandler(cors) {
+    return (req, res) => {
+        // 跨域响应头对所有响应（包括 404 等错误）都要发送，浏览器脚本才能读到错误状态
+        for (const [name, value] of Object.entries(getCorsHeaders(cors, req.headers.origin))) {
+            res.setHeader(name, value);
+        }
+
+        if (req.method === 'OPTIONS') {
+            const headers = { 'Allow': 'GET, HEAD, OPTIONS' };
+            // 预检请求
+            if (res.hasHeader('Access-Control-Allow-Origin') && req.headers['access-control-request-method']) {
+                headers['Access-Control-Allow-Methods'] = cors.methods.join(', ');
+                if (req.headers['access-control-request-headers']) {
+                    headers['Access-Control-Allow-Headers'] = req.headers['access-control-request-headers'];
+                }
+                headers['Access-Control-Max-Age'] = String(cors.maxAge);
+            }
+            res.writeHead(204, headers);
+            res.end();
+            return true;
+        }
+
+        if (req.method !== 'GET' && req.method !== 'HEAD') {
+            res.writeHead(405, { 'Content-Type': 'text/plain', 'Allow': 'GET, HEAD, OPTIONS' });
+            res.end('Method Not Allowed');
+            return true;
+        }
+        if (res.hasHeader('Access-Control-Allow-Origin') && cors.exposedHeaders.length > 0) {
+            res.setHeader('Access-Control-Expose-Headers', cors.exposedHeaders.join(', '));
+        }
+        return false;
+    };
+}
+
+/**
+ * 解析请求路径，写入 context.pathname（已解码）和 context.url
+ */
+function parseRequestPath(req, res, context) {
+    try {
+        context.url = new URL(req.url, 'http://localhost');
+        context.pathname = decodeURIComponent(context.url.pathname);
+    } catch (e) {
+        res.writeHead(400, { 'Content-Type': 'text/plain' });
+        res.end('Bad Request');
+        return true;
+    }
+    return false;
+}
+
+/**
+ * 添加 staticServer.headers 中匹配请求路径的响应头
+ * 不会覆盖服务器生成的 Content-Type、ETag、Cache-Control 等响应头
+ * @param {Object} [rules] - { 路径通配符: { 响应头: 值 } }
+ */
+function createCustomHeadersHandler(rules) {
+    return (req, res, { pathname }) => {
+        for (const [name, value] of Object.entries(getCustomHeaders(rules, pathname))) {
+            res.setHeader(name, value);
+        }
+        return false;
+    };
+}
+
+/**
+ * 创建静态文件处理函数
+ * 文件从磁盘流式读取，支持 HEAD、Range（断点续传）、ETag / Last-Modified 和 304
+ * 文本文件按 Accept-Encoding 压缩：优先发送预先生成的 .br/.gz，没有或已过期时动态压缩并缓存（不超过 compression.maxSize 的文件）
+ * @param {string} root - 静态文件根目录（绝对路径）
+ * @param {Object} options - 同 createStaticServer
+ */
+function createFileHandler(root, options) {
+    const { pipeline } = require('stream');
+    const compression = options.compression || { enabled: false };
+    const compress = compression.enabled ? createCompressionCache(parseSize(compression.cacheSize)) : null;
+    // 动态压缩需要把整个文件读入内存，超过上限的文件不动态压缩
+    const maxDynamicSize = compression.enabled ? parseSize(compression.maxSize) : 0;
+
+    return async (req, res, context) => {
+        const pathname = context.pathname === '/' ? '/index.html' : context.pathname;
+        const filePath = path.join(root, pathname);
+
+        if (!filePath.startsWith(root + path.sep)) {
+            res.writeHead(403, { 'Content-Type': 'text/plain' });
+            res.end('Forbidden');
+            return true;
+        }
+
+        let stats;
+        try {
+            stats = await fs.promises.stat(filePath);
+        } catch (e) {
+            stats = null;
+        }
+        if (!stats || !stats.isFile()) {
+            res.writeHead(404, { 'Content-Type': 'text/plain' });
+            res.end('Not Found');
+            return true;
+        }
+
+        const etag = `"${stats.size.toString(16)}-${Math.floor(stats.mtimeMs).toString(16)}"`;
+        const lastModified = stats.mtime.toUTCString();
+        const contentType = MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream';
+        const headers = { 'ETag': etag, 'Last-Modified': lastModified };
+        const cacheControl = getCacheControl(options.cacheControl, pathname);
+        if (cacheControl) {
+            headers['Cache-Control'] = cacheControl;
+        }
+
+        // 选择压缩编码：客户端可接受且比原文件新的预压缩文件优先，否则动态压缩
+        let encoding = null;
+        let precompressed = null;
+        if (compress && isCompressible(contentType) && stats.size >= compression.minSize) {
+            headers['Vary'] = [res.getHeader('Vary'), 'Accept-Encoding'].filter(Boolean).join(', ');
+            const accepted = parseAcceptEncoding(req.headers['accept-encoding']);
+            for (const name of accepted) {
+                try {
+                    const siblingPath = filePath + COMPRESSED_EXTENSIONS[name];
+                    const siblingStats = fs.statSync(siblingPath);
+                    if (siblingStats.isFile() && siblingStats.mtimeMs >= stats.mtimeMs) {
+                        encoding = name;
+                        precompressed = { path: siblingPath, size: siblingStats.size };
+                        break;
+                    }
+                } catch (e) {
+                    // 没有预压缩文件
+                }
+            }
+            if (!encoding && stats.size <= maxDynamicSize) {
+                encoding = accepted[0] || null;
+            }
+            if (encoding) {
+                // 不同编码的内容不同，ETag 也要区分
+                headers['ETag'] = etag.replace(/"$/, `-${encoding}"`);
+            }
+        }
+
+        if (isNotModified(req, headers['ETag'], stats.mtime)) {
+            res.writeHead(304, headers);
+            res.end();
+            return true;
+        }
+
+        headers['Content-Type'] = contentType;
+        if (encoding) {
+            // 压缩后的内容不支持 Range，总是返回完整内容
+            headers['Content-Encoding'] = encoding;
+            if (precompressed) {
+                headers['Content-Length'] = precompressed.size;
+                res.writeHead(200, headers);
+                if (req.method === 'HEAD') {
+                    res.end();
+                } else {
+                    pipeline(fs.createReadStream(precompressed.path), res, onPipelineDone(precompressed.path));
+                }
+                return true;
+            }
+            const body = await compress(filePath, encoding, etag);
+            headers['Content-Length'] = body.length;
+            res.writeHead(200, headers);
+            res.end(req.method === 'HEAD' ? undefined : body);
+            return true;
+        }
+        headers['Accept-Ranges'] = 'bytes';
+
+        // If-Range 与当前文件不一致时忽略 Range，返回完整的新文件
+        const ifRange = req.headers['if-range'];
+        const range = req.headers.range && (!ifRange || ifRange === etag || ifRange === lastModified)
+            ? parseRange(req.headers.range, stats.size)
+            : null;
+        if (range === false) {
+            res.writeHead(416, { 'Content-Type': 'text/plain', 'Content-Range': `bytes */${stats.size}` });
+            res.end('Range Not Satisfiable');
+            return true;
+        }
+
+        const start = range ? range.start : 0;
+        const end = range ? range.end : stats.size - 1;
+        headers['Content-Length'] = stats.size === 0 ? 0 : end - start + 1;
+        if (range) {
+            headers['Content-Range'] = `bytes ${start}-${end}/${stats.size}`;
+        }
+        res.writeHead(range ? 206 : 200, headers);
+
+        if (req.method === 'HEAD' || stats.size === 0) {
+            res.end();
+            return true;
+        }
+        // 客户端中断下载时 pipeline 会关闭文件
+        pipeline(fs.createReadStream(filePath, { start, end }), res, onPipelineDone(filePath));
+        return true;
+    };
+}
+
+/**
+ * 创建静态文件服务器（未监听端口）
+ * 每个请求依次交给处理函数：跨域和方法检查 → 解析路径 → 自定义响应头 → options.handlers → 目录查询接口 → 静态文件
+ * 处理函数签名为 (req, res, context) => boolean | Promise<boolean>，返回 true 表示已经响应，后面的处理函数不再执行；
+ * context.pathname 为解码后的请求路径，context.url 为 URL 对象。处理函数抛出的错误记录到错误日志并返回 500
+ * @param {Object} options
+ * @param {string} options.root - 静态文件根目录
+ * @param {Object} [options.cacheControl] - { 路径前缀: Cache-Control }
+ * @param {Object} [options.compression] - 压缩配置，见 staticServer.compression
+ * @param {Object} [options.cors] - 跨域配置，见 staticServer.cors
+ * @param {Object} [options.headers] - { 路径通配符: { 响应头: 值 } }
+ * @param {Object} [options.catalog] - 目录查询接口配置，见 staticServer.catalog
+ * @param {string} [options.storageDir] - Verdaccio 存储目录，目录查询接口从中读取已发布的版本
+ * @param {Object} [options.accessLog] - 访问日志配置，见 staticServer.accessLog（file 为绝对路径）
+ * @param {Function[]} [options.handlers] - 自定义处理函数，在目录查询接口和静态文件之前执行
+ * @returns {http.Server} 服务器关闭时同时关闭访问日志
+ */
+function createStaticServer(options) {
+    const root = path.resolve(options.root);
+    const accessLog = options.accessLog && options.accessLog.enabled ? createAccessLog(options.accessLog) : null;
+    const handlers = [
+        createCorsHandler(options.cors),
+        parseRequestPath,
+        createCustomHeadersHandler(options.headers),
+        ...(options.handlers || []),
+        ...(options.catalog && options.catalog.enabled ? [createCatalogApi(root, options.storageDir, options.catalog)] : []),
+        createFileHandler(root, options)
+    ];
+
+    const server = http.createServer(async (req, res) => {
+        if (accessLog) accessLog.log(req, res);
+        const context = {};
+        try {
+            for (const handler of handlers) {
+                if (await handler(req, res, context)) return;
+            }
+            res.writeHead(404, { 'Content-Type': 'text/plain' });
+            res.end('Not Found');
+        } catch (error) {
+            logError(`处理请求失败: ${req.method} ${req.url}`, error);
+            if (res.headersSent) {
+                res.destroy();
+            } else {
+                res.writeHead(500, { 'Content-Type': 'text/plain' });
+                res.end('Internal Server Error');
+            }
+        }
+    });
+    if (accessLog) {
+        server.on('close', () => accessLog.close());
+    }
+    return server;
+}
+
+module.exports = {
+    createStaticServer,
+    MIME_TYPES,
+    COMPRESSED_EXTENSIONS,
+    isCompressible,
+    parseRange,
+    isNotModified
+};
@@ -0,0 +1,30 @@
+/**
+ * cli.js 和 lib/ 中各模块共用的工具函数
+ */
+
+/**
+ * 将通配符（如 @aily/lib-*、/sdk/*）转换为正则表达式，* 可以匹配 /
+ * @param {string} glob
+ * @returns {RegExp}
+ */
+function globToRegExp(glob) {
+    const escaped = glob.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    return new RegExp('^' + escaped.replace(/\*/g, '.*').replace(/\?/g, '.') + '$');
+}
+
+/**
+ * 解析大小，如 "64MB"、"512KB"、"1.5G"
+ * @param {string} text - 大小
+ * @returns {number} 字节数
+ * @throws {Error} 格式无效
+ */
+function parseSize(text) {
+    const match = /^(\d+(?:\.\d+)?)\s*([KMG]?)B?$/i.exec(String(text).trim());
+    if (!match) {
+        throw new Error(`无效的大小: ${text}（示例: 64MB、512KB）`);
+    }
+    const unit = { '': 1, K: 1024, M: 1024 * 1024, G: 1024 * 1024 * 1024 }[match[2].toUpperCase()];
+    return Math.floor(parseFloat(match[1]) * unit);
+}
+
+module.exports = { globToRegExp, parseSize };
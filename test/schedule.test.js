@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseSchedule, getNextRunTime } = require('../cli.js');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+test('parseSchedule: 间隔', () => {
+    assert.deepStrictEqual(parseSchedule('30m'), { type: 'interval', spec: '30m', ms: 30 * 60 * 1000 });
+    assert.strictEqual(parseSchedule(' 6h ').ms, 6 * HOUR);
+    assert.strictEqual(parseSchedule('1d').ms, DAY);
+    assert.throws(() => parseSchedule('0h'), /间隔必须大于 0/);
+});
+
+test('parseSchedule: cron 字段支持列表、范围和步长，周日可写作 0 或 7', () => {
+    const schedule = parseSchedule('*/15 1-3,22 * * 7');
+    assert.strictEqual(schedule.type, 'cron');
+    assert.deepStrictEqual([...schedule.minute], [0, 15, 30, 45]);
+    assert.deepStrictEqual([...schedule.hour], [1, 2, 3, 22]);
+    assert.ok(schedule.weekday.has(0));
+    assert.strictEqual(schedule.anyDay, true);
+    assert.strictEqual(schedule.anyWeekday, false);
+});
+
+test('parseSchedule: 无效的计划', () => {
+    assert.throws(() => parseSchedule('6x'), /无效的计划/);
+    assert.throws(() => parseSchedule('0 2 * *'), /无效的计划/);
+    assert.throws(() => parseSchedule('0 24 * * *'), /超出范围/);
+    assert.throws(() => parseSchedule('a 2 * * *'), /无效的 cron 字段/);
+});
+
+test('getNextRunTime: 间隔从上次开始时间计算，已过期则立即运行', () => {
+    const schedule = parseSchedule('6h');
+    const before = Date.now();
+    const next = getNextRunTime(schedule, new Date(before - HOUR)).getTime();
+    assert.ok(Math.abs(next - (before + 5 * HOUR)) < 1000);
+
+    const overdue = getNextRunTime(schedule, new Date(before - 7 * HOUR)).getTime();
+    assert.ok(overdue >= before && overdue - before < 1000);
+
+    const first = getNextRunTime(schedule, null).getTime();
+    assert.ok(first >= before && first - before < 1000);
+});
+
+test('getNextRunTime: cron 返回之后第一个匹配的时间', () => {
+    const now = Date.now();
+    const daily = getNextRunTime(parseSchedule('0 2 * * *'), null);
+    assert.ok(daily.getTime() > now && daily.getTime() <= now + DAY);
+    assert.strictEqual(daily.getHours(), 2);
+    assert.strictEqual(daily.getMinutes(), 0);
+    assert.strictEqual(daily.getSeconds(), 0);
+
+    const weekly = getNextRunTime(parseSchedule('30 4 * * 1'), null);
+    assert.ok(weekly.getTime() > now && weekly.getTime() <= now + 7 * DAY);
+    assert.strictEqual(weekly.getDay(), 1);
+    assert.strictEqual(weekly.getHours(), 4);
+    assert.strictEqual(weekly.getMinutes(), 30);
+});
+
+test('getNextRunTime: 日和周都有限制时满足任一即可', () => {
+    // 每月 1 日或每周一
+    const schedule = parseSchedule('0 0 1 * 1');
+    const next = getNextRunTime(schedule, null);
+    assert.ok(next.getDate() === 1 || next.getDay() === 1);
+    assert.ok(next.getTime() <= Date.now() + 7 * DAY);
+});
+
+test('getNextRunTime: 不存在的日期抛出错误', () => {
+    assert.throws(() => getNextRunTime(parseSchedule('0 0 31 2 *'), null), /没有匹配的时间/);
+});
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseRange, isNotModified } = require('../lib/static-server');
+
+test('parseRange: 单个范围', () => {
+    assert.deepStrictEqual(parseRange('bytes=0-99', 1000), { start: 0, end: 99 });
+    assert.deepStrictEqual(parseRange('bytes=100-', 1000), { start: 100, end: 999 });
+    assert.deepStrictEqual(parseRange('bytes=-100', 1000), { start: 900, end: 999 });
+    // 结束位置超出文件大小时截断
+    assert.deepStrictEqual(parseRange('bytes=900-5000', 1000), { start: 900, end: 999 });
+    assert.deepStrictEqual(parseRange('bytes=-5000', 1000), { start: 0, end: 999 });
+});
+
+test('parseRange: 无法解析或不支持时返回 null（返回完整内容）', () => {
+    assert.strictEqual(parseRange('bytes=-', 1000), null);
+    assert.strictEqual(parseRange('items=0-1', 1000), null);
+    assert.strictEqual(parseRange('bytes=0-1,5-6', 1000), null);
+    assert.strictEqual(parseRange('bytes=50-10', 1000), null);
+});
+
+test('parseRange: 范围无法满足时返回 false', () => {
+    assert.strictEqual(parseRange('bytes=1000-', 1000), false);
+    assert.strictEqual(parseRange('bytes=-0', 1000), false);
+    assert.strictEqual(parseRange('bytes=0-0', 0), false);
+});
+
+test('isNotModified: If-None-Match 优先', () => {
+    const etag = '"abc"';
+    const mtime = new Date('2024-01-01T00:00:00Z');
+    const request = (headers) => ({ headers });
+
+    assert.strictEqual(isNotModified(request({ 'if-none-match': '"abc"' }), etag, mtime), true);
+    assert.strictEqual(isNotModified(request({ 'if-none-match': 'W/"abc"' }), etag, mtime), true);
+    assert.strictEqual(isNotModified(request({ 'if-none-match': '"x", "abc"' }), etag, mtime), true);
+    assert.strictEqual(isNotModified(request({ 'if-none-match': '*' }), etag, mtime), true);
+    // ETag 不匹配时忽略 If-Modified-Since
+    assert.strictEqual(isNotModified(request({
+        'if-none-match': '"other"',
+        'if-modified-since': 'Tue, 02 Jan 2024 00:00:00 GMT'
+    }), etag, mtime), false);
+});
+
+test('isNotModified: If-Modified-Since 精确到秒', () => {
+    const mtime = new Date('2024-01-01T00:00:00.500Z');
+    const request = (since) => ({ headers: { 'if-modified-since': since } });
+
+    assert.strictEqual(isNotModified(request('Mon, 01 Jan 2024 00:00:00 GMT'), '"e"', mtime), true);
+    assert.strictEqual(isNotModified(request('Sun, 31 Dec 2023 23:59:59 GMT'), '"e"', mtime), false);
+    assert.strictEqual(isNotModified(request('invalid'), '"e"', mtime), false);
+    assert.strictEqual(isNotModified({ headers: {} }, '"e"', mtime), false);
+});
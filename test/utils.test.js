@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { globToRegExp, parseSize } = require('../lib/utils');
+
+test('globToRegExp: * 可以跨越 /，? 匹配单个字符', () => {
+    assert.ok(globToRegExp('@aily/lib-*').test('@aily/lib-core'));
+    assert.ok(globToRegExp('/sdk/*').test('/sdk/esp32/2.0.0/sdk.7z'));
+    assert.ok(globToRegExp('board?.json').test('board1.json'));
+    assert.ok(!globToRegExp('board?.json').test('board12.json'));
+    assert.ok(!globToRegExp('@aily/lib-*').test('@aily/board-esp32'));
+});
+
+test('globToRegExp: 正则特殊字符按字面匹配', () => {
+    assert.ok(globToRegExp('boards.json').test('boards.json'));
+    assert.ok(!globToRegExp('boards.json').test('boardsxjson'));
+    assert.ok(globToRegExp('a+b(c)').test('a+b(c)'));
+});
+
+test('parseSize: 支持 B、KB、MB、GB 和小数', () => {
+    assert.strictEqual(parseSize('512'), 512);
+    assert.strictEqual(parseSize('512B'), 512);
+    assert.strictEqual(parseSize('64KB'), 64 * 1024);
+    assert.strictEqual(parseSize('4mb'), 4 * 1024 * 1024);
+    assert.strictEqual(parseSize('1.5G'), 1.5 * 1024 * 1024 * 1024);
+    assert.strictEqual(parseSize(' 2 MB '), 2 * 1024 * 1024);
+});
+
+test('parseSize: 格式无效时抛出错误', () => {
+    assert.throws(() => parseSize('abc'), /无效的大小/);
+    assert.throws(() => parseSize('10TB'), /无效的大小/);
+    assert.throws(() => parseSize('-1MB'), /无效的大小/);
+});
@@ -0,0 +1,130 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { extractZip } = require('../cli.js');
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+
+function crc32(buffer) {
+    let crc = 0xFFFFFFFF;
+    for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * 生成不压缩（stored）的 zip
+ * @param {{name: string, data: string, symlink?: boolean}[]} files
+ * @returns {Buffer}
+ */
+function createZip(files) {
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+    for (const file of files) {
+        const name = Buffer.from(file.name);
+        const data = Buffer.from(file.data);
+        const crc = crc32(data);
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(20, 4);
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(data.length, 18);
+        local.writeUInt32LE(data.length, 22);
+        local.writeUInt16LE(name.length, 26);
+        locals.push(local, name, data);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        // 高字节 3 表示由 Unix 创建，外部属性高 16 位是文件模式
+        central.writeUInt16LE((3 << 8) | 20, 4);
+        central.writeUInt16LE(20, 6);
+        central.writeUInt32LE(crc, 16);
+        central.writeUInt32LE(data.length, 20);
+        central.writeUInt32LE(data.length, 24);
+        central.writeUInt16LE(name.length, 28);
+        central.writeUInt32LE(((file.symlink ? 0o120777 : 0o100644) << 16) >>> 0, 38);
+        central.writeUInt32LE(offset, 42);
+        centrals.push(central, name);
+
+        offset += local.length + name.length + data.length;
+    }
+
+    const cd = Buffer.concat(centrals);
+    const eocd = Buffer.alloc(22);
+    eocd.writeUInt32LE(0x06054b50, 0);
+    eocd.writeUInt16LE(files.length, 8);
+    eocd.writeUInt16LE(files.length, 10);
+    eocd.writeUInt32LE(cd.length, 12);
+    eocd.writeUInt32LE(offset, 16);
+    return Buffer.concat([...locals, cd, eocd]);
+}
+
+/**
+ * 在临时目录中解压，返回解压错误和目录
+ * @param {Object} t - 测试上下文
+ * @param {Object[]} files - zip 中的文件
+ * @param {function(string): void} [prepare] - 解压前准备目标目录
+ */
+async function extract(t, files, prepare) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'aily-zip-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const zipPath = path.join(dir, 'test.zip');
+    fs.writeFileSync(zipPath, createZip(files));
+    const dest = path.join(dir, 'dest');
+    fs.mkdirSync(dest);
+    if (prepare) prepare(dest);
+    const error = await extractZip(zipPath, dest).then(() => null, e => e);
+    return { dir, dest, error };
+}
+
+test('extractZip: 正常解压', async (t) => {
+    const { dest, error } = await extract(t, [
+        { name: 'sdk/', data: '' },
+        { name: 'sdk/readme.txt', data: 'hello' }
+    ]);
+    assert.strictEqual(error, null);
+    assert.strictEqual(fs.readFileSync(path.join(dest, 'sdk/readme.txt'), 'utf8'), 'hello');
+});
+
+test('extractZip: 拒绝 ../ 越界路径且不写入任何文件', async (t) => {
+    const { dir, dest, error } = await extract(t, [
+        { name: 'ok.txt', data: 'ok' },
+        { name: '../evil.txt', data: 'evil' }
+    ]);
+    assert.match(error.message, /路径越界/);
+    assert.ok(!fs.existsSync(path.join(dir, 'evil.txt')));
+    assert.ok(!fs.existsSync(path.join(dest, 'ok.txt')));
+});
+
+test('extractZip: 拒绝绝对路径', async (t) => {
+    const { error } = await extract(t, [
+        { name: '/tmp/aily-zip-test-absolute.txt', data: 'evil' }
+    ]);
+    assert.match(error.message, /路径越界/);
+    assert.ok(!fs.existsSync('/tmp/aily-zip-test-absolute.txt'));
+});
+
+test('extractZip: 拒绝指向目录之外的符号链接', async (t) => {
+    const { error } = await extract(t, [
+        { name: 'link', data: '..', symlink: true }
+    ]);
+    assert.match(error.message, /符号链接指向目录之外/);
+});
+
+test('extractZip: 拒绝经由目标目录中已有的符号链接写到目录之外', { skip: process.platform === 'win32' }, async (t) => {
+    const { dir, error } = await extract(t, [
+        { name: 'outside/evil.txt', data: 'evil' }
+    ], (dest) => {
+        fs.mkdirSync(path.join(dest, '..', 'real-outside'));
+        fs.symlinkSync(path.join(dest, '..', 'real-outside'), path.join(dest, 'outside'));
+    });
+    assert.match(error.message, /经由符号链接指向目录之外/);
+    assert.ok(!fs.existsSync(path.join(dir, 'real-outside', 'evil.txt')));
+});